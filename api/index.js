@@ -4,6 +4,12 @@ const cors = require('cors');
 
 const app = express();
 
+// req.ip is the client address the trusted proxies report, not whatever the
+// client put in X-Forwarded-For. Vercel is one hop; TRUST_PROXY takes a hop
+// count or an Express trust proxy list (e.g. loopback, 10.0.0.0/8)
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS || '*',
@@ -30,25 +36,124 @@ app.get('/', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
-        me: 'GET /api/auth/me'
+        login2fa: 'POST /api/auth/login/2fa',
+        google: 'POST /api/auth/google',
+        linkGoogle: 'POST /api/auth/google/link',
+        me: 'GET /api/auth/me',
+        updateMe: 'PATCH /api/auth/me',
+        changePassword: 'POST /api/auth/change-password',
+        exportMe: 'GET /api/auth/me/export',
+        deleteMe: 'DELETE /api/auth/me',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        twoFactor: 'GET /api/auth/2fa',
+        twoFactorSetup: 'POST /api/auth/2fa/setup',
+        twoFactorEnable: 'POST /api/auth/2fa/enable',
+        twoFactorDisable: 'POST /api/auth/2fa/disable',
+        recoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+        apiTokens: 'GET|POST /api/auth/tokens',
+        revokeApiToken: 'DELETE /api/auth/tokens/:id'
       },
       expenses: {
-        list: 'GET /api/expenses',
+        list: 'GET /api/expenses?cursor=&limit=&sort=&order=&q=&minAmount=&maxAmount=&payment_method=&store_id=&tags=&tagMode=any|all&wallet=',
+        export: 'GET /api/expenses/export?format=csv|xlsx|pdf',
         create: 'POST /api/expenses',
+        batch: 'POST /api/expenses/batch',
         get: 'GET /api/expenses/:id',
         update: 'PUT /api/expenses/:id',
-        delete: 'DELETE /api/expenses/:id'
+        delete: 'DELETE /api/expenses/:id',
+        importPreview: 'POST /api/expenses/import/preview',
+        importCommit: 'POST /api/expenses/import/commit'
       },
       analytics: {
         summary: 'GET /api/analytics/summary',
         byCategory: 'GET /api/analytics/by-category',
+        byTag: 'GET /api/analytics/by-tag',
+        byMember: 'GET /api/analytics/by-member?wallet=',
         trends: 'GET /api/analytics/trends',
         monthlyComparison: 'GET /api/analytics/monthly-comparison',
-        insights: 'GET /api/analytics/insights'
+        insights: 'GET /api/analytics/insights',
+        items: 'GET /api/analytics/items?q='
+      },
+      categories: {
+        list: 'GET /api/categories',
+        create: 'POST /api/categories',
+        get: 'GET /api/categories/:id',
+        update: 'PUT /api/categories/:id',
+        merge: 'POST /api/categories/:id/merge',
+        delete: 'DELETE /api/categories/:id'
+      },
+      tags: {
+        list: 'GET /api/tags?q=',
+        rename: 'PUT /api/tags/:tag',
+        merge: 'POST /api/tags/:tag/merge',
+        delete: 'DELETE /api/tags/:tag'
+      },
+      currency: {
+        home: 'GET|PUT /api/currency/home',
+        rates: 'GET /api/currency/rates',
+        loadRates: 'POST /api/currency/rates (X-Admin-Key or admin)',
+        convert: 'GET /api/currency/convert'
+      },
+      wallets: {
+        list: 'GET /api/wallets',
+        create: 'POST /api/wallets',
+        get: 'GET /api/wallets/:id',
+        update: 'PUT /api/wallets/:id',
+        delete: 'DELETE /api/wallets/:id',
+        invite: 'POST /api/wallets/:id/invites',
+        invites: 'GET /api/wallets/:id/invites',
+        withdrawInvite: 'DELETE /api/wallets/:id/invites/:inviteId',
+        myInvites: 'GET /api/wallets/invites',
+        acceptInvite: 'POST /api/wallets/invites/accept',
+        updateMember: 'PUT /api/wallets/:id/members/:userId',
+        removeMember: 'DELETE /api/wallets/:id/members/:userId'
+      },
+      admin: {
+        users: 'GET /api/admin/users?q=&status=active|inactive&role=&limit=&offset=',
+        user: 'GET /api/admin/users/:id',
+        deactivate: 'POST /api/admin/users/:id/deactivate',
+        reactivate: 'POST /api/admin/users/:id/reactivate',
+        role: 'PUT /api/admin/users/:id/role'
+      },
+      budgets: {
+        list: 'GET /api/budgets',
+        create: 'POST /api/budgets',
+        get: 'GET /api/budgets/:id',
+        update: 'PUT /api/budgets/:id',
+        delete: 'DELETE /api/budgets/:id'
+      },
+      recurring: {
+        list: 'GET /api/recurring',
+        create: 'POST /api/recurring',
+        upcoming: 'GET /api/recurring/upcoming',
+        run: 'POST /api/recurring/run',
+        get: 'GET /api/recurring/:id',
+        update: 'PUT /api/recurring/:id',
+        pause: 'POST /api/recurring/:id/pause',
+        resume: 'POST /api/recurring/:id/resume',
+        delete: 'DELETE /api/recurring/:id'
       },
       ocr: {
         scan: 'POST /api/ocr/scan',
-        test: 'GET /api/ocr/test'
+        batch: 'POST /api/ocr/batch',
+        batchStatus: 'GET /api/ocr/batches/:id',
+        job: 'GET /api/ocr/jobs/:id',
+        retryJob: 'POST /api/ocr/jobs/:id/retry',
+        drafts: 'GET /api/ocr/drafts',
+        draft: 'GET|PUT|DELETE /api/ocr/drafts/:id',
+        confirmDraft: 'POST /api/ocr/drafts/:id/confirm',
+        linkDraft: 'POST /api/ocr/drafts/:id/link',
+        test: 'GET /api/ocr/test',
+        receiptItems: 'GET|POST /api/ocr/receipts/:id/items',
+        receiptItem: 'PUT|DELETE /api/ocr/receipts/:id/items/:itemId',
+        splitReceipt: 'POST /api/ocr/receipts/:id/split'
       }
     }
   });
@@ -57,14 +162,34 @@ app.get('/', (req, res) => {
 // Import routes
 const authRoutes = require('../services/auth');
 const expenseRoutes = require('../services/expenses');
+const importRoutes = require('../services/imports');
 const analyticsRoutes = require('../services/analytics');
 const ocrRoutes = require('../services/ocr');
+const itemRoutes = require('../services/items');
+const draftRoutes = require('../services/drafts');
+const budgetRoutes = require('../services/budgets');
+const currencyRoutes = require('../services/currency');
+const categoryRoutes = require('../services/categories');
+const tagRoutes = require('../services/tags');
+const recurringRoutes = require('../services/recurring');
+const walletRoutes = require('../services/wallets');
+const adminRoutes = require('../services/admin');
 
 // Mount routes
 app.use('/api/auth', authRoutes);
+app.use('/api/expenses/import', importRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/ocr/receipts/:receiptId', itemRoutes);
+app.use('/api/ocr/drafts', draftRoutes);
 app.use('/api/ocr', ocrRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/currency', currencyRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
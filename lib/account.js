@@ -0,0 +1,154 @@
+const { createClient } = require('@supabase/supabase-js');
+const { removeUserFromWallets } = require('./wallets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// ============================================
+// Everything a user owns, for data export and account deletion
+// ============================================
+
+const RECEIPT_BUCKET = 'receipts';
+const PAGE_SIZE = 1000;
+
+// Tables with a user_id column, in an order that is safe to delete in
+// (rows referencing others first). `file` is the name used in exports.
+const USER_TABLES = [
+  { table: 'fact_receipt_items', file: 'receipt_items' },
+  { table: 'fact_expenses', file: 'expenses' },
+  { table: 'fact_receipts', file: 'receipts' },
+  { table: 'fact_recurring_expenses', file: 'recurring_expenses' },
+  { table: 'fact_budgets', file: 'budgets' },
+  { table: 'dim_tag', file: 'tags' },
+  { table: 'dim_category_override', file: 'category_overrides' },
+  { table: 'dim_category', file: 'categories' },
+  { table: 'fact_auth_tokens', file: null },
+  { table: 'fact_user_mfa', file: null },
+  { table: 'fact_wallet_members', file: 'wallet_memberships' },
+  { table: 'fact_usage_events', file: 'usage_events' },
+  { table: 'fact_ocr_jobs', file: 'ocr_jobs' },
+  { table: 'fact_receipt_drafts', file: 'receipt_drafts' },
+  { table: 'fact_api_tokens', file: 'api_tokens', select: 'token_id, name, token_prefix, scopes, created_at, last_used_at, expires_at, revoked_at' },
+  { table: 'fact_user_sessions', file: 'sessions', select: 'session_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at' }
+];
+
+async function fetchAll(table, userId, select = '*') {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(select)
+      .eq('user_id', userId)
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// ============================================
+// HELPER: Every storage object under receipts/<userId>/ (recursive)
+// ============================================
+async function listReceiptObjects(userId, prefix = `receipts/${userId}`) {
+  const paths = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(RECEIPT_BUCKET)
+      .list(prefix, { limit: PAGE_SIZE, offset });
+
+    if (error) throw error;
+
+    for (const entry of data) {
+      const path = `${prefix}/${entry.name}`;
+      // Folders come back without an id
+      if (entry.id === null || entry.id === undefined) {
+        paths.push(...await listReceiptObjects(userId, path));
+      } else {
+        paths.push(path);
+      }
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+  return paths;
+}
+
+// ============================================
+// Collect a user's data: { profile, tables: { name: rows }, images: [path] }
+// ============================================
+async function collectUserData(userId) {
+  const { data: profile, error } = await supabase
+    .from('dim_user')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (error) throw error;
+
+  const tables = {};
+  for (const { table, file, select } of USER_TABLES) {
+    if (!file) continue;
+    tables[file] = await fetchAll(table, userId, select);
+  }
+
+  const images = await listReceiptObjects(userId);
+
+  return { profile, tables, images };
+}
+
+async function downloadReceiptObject(path) {
+  const { data, error } = await supabase.storage.from(RECEIPT_BUCKET).download(path);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+}
+
+// ============================================
+// Remove every row and storage object a user owns, then the user itself
+// Returns counts per table. Safe to re-run if it fails halfway.
+// ============================================
+async function deleteUserData(userId) {
+  const deleted = {};
+
+  const images = await listReceiptObjects(userId);
+  for (let i = 0; i < images.length; i += PAGE_SIZE) {
+    const { error } = await supabase.storage.from(RECEIPT_BUCKET).remove(images.slice(i, i + PAGE_SIZE));
+    if (error) throw error;
+  }
+  deleted.images = images.length;
+
+  // Owned wallets pass to another member (or go away) before the memberships do
+  await removeUserFromWallets(userId);
+
+  for (const { table } of USER_TABLES) {
+    const { count, error } = await supabase
+      .from(table)
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    deleted[table] = count || 0;
+  }
+
+  const { error: userError } = await supabase
+    .from('dim_user')
+    .delete()
+    .eq('user_id', userId);
+
+  if (userError) throw userError;
+
+  const { error: authError } = await supabase.auth.admin.deleteUser(userId);
+  // Already gone from Supabase Auth on a re-run
+  if (authError && authError.status !== 404) throw authError;
+
+  return deleted;
+}
+
+module.exports = {
+  USER_TABLES,
+  collectUserData,
+  downloadReceiptObject,
+  deleteUserData
+};
@@ -0,0 +1,39 @@
+// ============================================
+// Shared aggregation helpers for analytics and reports
+// ============================================
+
+// Group expenses (with dim_category joined) into per-category totals
+function summarizeByCategory(expenses) {
+  const categoryData = {};
+  let totalSpent = 0;
+
+  expenses.forEach(exp => {
+    const amount = parseFloat(exp.amount);
+    const categoryName = exp.dim_category?.category_name || 'Other';
+    if (!categoryData[categoryName]) {
+      categoryData[categoryName] = { total: 0, count: 0 };
+    }
+    categoryData[categoryName].total += amount;
+    categoryData[categoryName].count += 1;
+    totalSpent += amount;
+  });
+
+  const categories = Object.entries(categoryData)
+    .map(([category, { total, count }]) => ({
+      category,
+      totalAmount: parseFloat(total.toFixed(2)),
+      total_amount: parseFloat(total.toFixed(2)),
+      count,
+      percentage: totalSpent > 0 ? parseFloat(((total / totalSpent) * 100).toFixed(2)) : 0
+    }))
+    .sort((a, b) => b.totalAmount - a.totalAmount);
+
+  return {
+    categories,
+    totalSpent: parseFloat(totalSpent.toFixed(2))
+  };
+}
+
+module.exports = {
+  summarizeByCategory
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { verificationDeadline } = require('./authTokens');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_api_tokens: token_id, user_id, name, token_hash, token_prefix, scopes (text[]),
+// created_at, last_used_at, expires_at, revoked_at
+// Personal access tokens for scripts and integrations. The token is shown once
+// ("xpn_<secret>"); only its hash is stored. Scopes limit what it can reach.
+
+const API_TOKEN_PREFIX = 'xpn_';
+const MAX_TOKENS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+
+// `<resource>:write` also grants `<resource>:read`
+const API_TOKEN_SCOPES = [
+  'expenses:read',
+  'expenses:write',
+  'analytics:read',
+  'ocr:scan',
+  'budgets:read',
+  'budgets:write',
+  'categories:read',
+  'categories:write',
+  'recurring:read',
+  'recurring:write',
+  'currency:read',
+  'currency:write',
+  'wallets:read',
+  'wallets:write'
+];
+
+// Same trade-off as sessions: a revoked token may work for up to this long
+// on another instance
+const TOKEN_CACHE_MS = 30 * 1000;
+const tokenCache = new Map();
+
+const TOKEN_SELECT = 'token_id, name, token_prefix, scopes, created_at, last_used_at, expires_at';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+function hasScope(scopes, required) {
+  if (!required || !Array.isArray(scopes)) return false;
+  if (scopes.includes(required)) return true;
+
+  const [resource, action] = required.split(':');
+  return action === 'read' && scopes.includes(`${resource}:write`);
+}
+
+// ============================================
+// Validate requested scopes: { scopes } or { error }
+// ============================================
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'scopes must be a non-empty array' };
+  }
+
+  const unique = [...new Set(scopes.map(s => String(s).trim().toLowerCase()))];
+  const unknown = unique.filter(s => !API_TOKEN_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown scopes: ${unknown.join(', ')}` };
+  }
+
+  return { scopes: unique };
+}
+
+// ============================================
+// Create a token; returns { token, ...row } (the token is not stored)
+// or { error, status }
+// ============================================
+async function createApiToken(userId, { name, scopes, expiresInDays }) {
+  if (!name || !String(name).trim()) {
+    return { error: 'name is required', status: 400 };
+  }
+
+  const normalized = normalizeScopes(scopes);
+  if (normalized.error) return { error: normalized.error, status: 400 };
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, status: 400 };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const { count } = await supabase
+    .from('fact_api_tokens')
+    .select('token_id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (count >= MAX_TOKENS_PER_USER) {
+    return { error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens`, status: 409 };
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const { data: row, error } = await supabase
+    .from('fact_api_tokens')
+    .insert([{
+      token_id: crypto.randomUUID(),
+      user_id: userId,
+      name: String(name).trim().slice(0, 100),
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: normalized.scopes,
+      expires_at: expiresAt
+    }])
+    .select(TOKEN_SELECT)
+    .single();
+
+  if (error) throw error;
+
+  return { token, ...row };
+}
+
+async function listApiTokens(userId) {
+  const { data: tokens, error } = await supabase
+    .from('fact_api_tokens')
+    .select(TOKEN_SELECT)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const now = new Date();
+  return tokens.map(t => ({ ...t, expired: !!t.expires_at && new Date(t.expires_at) <= now }));
+}
+
+// Returns the number of tokens revoked (0 = not found)
+async function revokeApiTokens(userId, tokenId = null) {
+  let query = supabase
+    .from('fact_api_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (tokenId) query = query.eq('token_id', tokenId);
+
+  const { data: revoked, error } = await query.select('token_hash');
+
+  // Not a uuid: nothing to revoke
+  if (error && error.code === '22P02') return 0;
+  if (error) throw error;
+  revoked.forEach(t => tokenCache.delete(t.token_hash));
+  return revoked.length;
+}
+
+// ============================================
+// Used by middleware/auth.js: who does this token belong to?
+// Returns { tokenId, userId, email, scopes, emailVerified, verifyBy } or null
+// ============================================
+async function resolveApiToken(token) {
+  const tokenHash = hashToken(token);
+
+  const cached = tokenCache.get(tokenHash);
+  if (cached && Date.now() - cached.checkedAt < TOKEN_CACHE_MS) return cached.identity;
+
+  const { data: row, error } = await supabase
+    .from('fact_api_tokens')
+    .select('token_id, user_id, scopes, expires_at, revoked_at')
+    .eq('token_hash', tokenHash)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  let identity = null;
+
+  if (row && !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > new Date())) {
+    const { data: user } = await supabase
+      .from('dim_user')
+      .select('email, is_active, email_verified, created_at')
+      .eq('user_id', row.user_id)
+      .maybeSingle();
+
+    if (user && user.is_active !== false) {
+      identity = {
+        tokenId: row.token_id,
+        userId: row.user_id,
+        email: user.email,
+        scopes: row.scopes || [],
+        emailVerified: user.email_verified,
+        verifyBy: user.email_verified === false ? verificationDeadline(user.created_at) : undefined
+      };
+
+      // Recorded once per cache period rather than on every request
+      await supabase
+        .from('fact_api_tokens')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('token_id', row.token_id);
+    }
+  }
+
+  if (tokenCache.size > 10000) tokenCache.clear();
+  tokenCache.set(tokenHash, { identity, checkedAt: Date.now() });
+  return identity;
+}
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  isApiToken,
+  hasScope,
+  createApiToken,
+  listApiTokens,
+  revokeApiTokens,
+  resolveApiToken
+};
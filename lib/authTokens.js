@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { sendMail } = require('./mailer');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_auth_tokens: token_id, user_id, purpose ('password_reset' | 'email_verification'),
+// token_hash, expires_at, used_at, created_at
+// Tokens are single use; only their hash is stored.
+//
+// dim_user.email_verified: false until the emailed link is used
+// (null for accounts created before verification existed, treated as verified)
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60
+};
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// What unverified accounts may do once the grace period is over:
+// 'allow' (everything), 'read_only' (GET requests only) or 'block'
+const UNVERIFIED_ACCOUNT_POLICY = process.env.UNVERIFIED_ACCOUNT_POLICY || 'read_only';
+const UNVERIFIED_GRACE_DAYS = parseFloat(process.env.UNVERIFIED_GRACE_DAYS || '3');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ============================================
+// Issue a token; earlier unused tokens for the same purpose stop working
+// ============================================
+async function createAuthToken(userId, purpose) {
+  const { error: invalidateError } = await supabase
+    .from('fact_auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (invalidateError) throw invalidateError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { error } = await supabase
+    .from('fact_auth_tokens')
+    .insert([{
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000).toISOString()
+    }]);
+
+  if (error) throw error;
+  return token;
+}
+
+// ============================================
+// Use a token once; returns the user_id or null if invalid/expired/used
+// ============================================
+async function consumeAuthToken(token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+
+  const { data: used, error } = await supabase
+    .from('fact_auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id');
+
+  if (error) throw error;
+  return used.length > 0 ? used[0].user_id : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.user_id, 'email_verification');
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Xpnse email address',
+    text: `Hi ${user.full_name || ''},\n\nConfirm your email address by opening this link:\n${link}\n\n`
+      + `The link expires in ${Math.round(TOKEN_TTL_MINUTES.email_verification / 60)} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAuthToken(user.user_id, 'password_reset');
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Xpnse password',
+    text: `Hi ${user.full_name || ''},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\n`
+      + `The link expires in ${TOKEN_TTL_MINUTES.password_reset} minutes. If it wasn't you, ignore this email.`
+  });
+}
+
+// ============================================
+// Restriction for a user under the unverified-account policy:
+// null (no limits), 'read_only' or 'block'
+// ============================================
+function getVerificationRestriction({ emailVerified, verifyBy }) {
+  if (emailVerified !== false || UNVERIFIED_ACCOUNT_POLICY === 'allow') return null;
+  if (verifyBy && Date.now() < verifyBy) return null;
+  return UNVERIFIED_ACCOUNT_POLICY;
+}
+
+// Deadline (ms) for verifying an account created at `createdAt`
+const verificationDeadline = (createdAt) => new Date(createdAt || Date.now()).getTime()
+  + UNVERIFIED_GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  getVerificationRestriction,
+  verificationDeadline
+};
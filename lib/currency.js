@@ -0,0 +1,238 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// dim_exchange_rate: rate_date, base_currency, quote_currency, rate, source
+// One row means 1 base_currency = rate quote_currency on rate_date
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'PHP').toUpperCase();
+const RATE_PAGE_SIZE = 1000;
+
+const CURRENCY_SYMBOLS = {
+  PHP: '₱',
+  USD: '$',
+  JPY: '¥',
+  EUR: '€',
+  GBP: '£',
+  INR: '₹',
+  KRW: '₩',
+  CNY: '¥',
+  THB: '฿',
+  VND: '₫'
+};
+
+// ============================================
+// HELPER: Validate/normalize an ISO 4217 code ("php" -> "PHP")
+// ============================================
+function normalizeCurrency(code) {
+  if (!code) return null;
+  const normalized = String(code).trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+}
+
+// ============================================
+// HELPER: Guess the currency printed on a receipt
+// ============================================
+function detectCurrency(text) {
+  if (!text) return null;
+  if (/PHP|₱|\bP\s?\d+\.\d{2}\b/.test(text)) return 'PHP';
+  if (/JPY|¥|円/.test(text)) return 'JPY';
+  if (/\bRs\.?\s?\d|INR|₹/i.test(text)) return 'INR';
+  if (/EUR|€/.test(text)) return 'EUR';
+  if (/GBP|£/.test(text)) return 'GBP';
+  if (/USD|US\$|\$/.test(text)) return 'USD';
+  return null;
+}
+
+function formatMoney(amount, currency) {
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const decimals = ['JPY', 'KRW', 'VND'].includes(currency) ? 0 : 2;
+  return `${symbol}${Number(amount).toFixed(decimals)}`;
+}
+
+// ============================================
+// HELPER: A user's home currency (falls back to DEFAULT_CURRENCY)
+// ============================================
+async function getHomeCurrency(userId) {
+  const { data: user } = await supabase
+    .from('dim_user')
+    .select('home_currency')
+    .eq('user_id', userId)
+    .single();
+
+  return normalizeCurrency(user?.home_currency) || DEFAULT_CURRENCY;
+}
+
+// ============================================
+// Parse a rates file: JSON array / { base, date, rates: { XXX: n } }, or
+// CSV with a header of date,base,quote,rate
+// ============================================
+function parseRatesFile(text) {
+  const trimmed = text.trim();
+  let rows = [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed);
+    const entries = Array.isArray(json) ? json : [json];
+
+    for (const entry of entries) {
+      if (entry.rates && typeof entry.rates === 'object') {
+        // { base: 'USD', date: '2026-01-01', rates: { PHP: 58.1, JPY: 157.2 } }
+        for (const [quote, rate] of Object.entries(entry.rates)) {
+          rows.push({ date: entry.date, base: entry.base, quote, rate });
+        }
+      } else {
+        rows.push(entry);
+      }
+    }
+  } else {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+    const header = lines.shift().toLowerCase().split(',').map(h => h.trim());
+    for (const line of lines) {
+      const fields = line.split(',').map(f => f.trim());
+      rows.push(Object.fromEntries(header.map((h, i) => [h, fields[i]])));
+    }
+  }
+
+  const valid = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const rateDate = row.date || row.rate_date;
+    const base = normalizeCurrency(row.base || row.base_currency);
+    const quote = normalizeCurrency(row.quote || row.quote_currency);
+    const rate = parseFloat(row.rate);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate || '') || !base || !quote || !(rate > 0) || base === quote) {
+      errors.push({ index: i, row });
+      return;
+    }
+
+    valid.push({ rate_date: rateDate, base_currency: base, quote_currency: quote, rate });
+  });
+
+  return { rates: valid, errors };
+}
+
+async function saveRates(rates, source = 'file') {
+  if (rates.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('dim_exchange_rate')
+    .upsert(rates.map(rate => ({ ...rate, source })), { onConflict: 'rate_date,base_currency,quote_currency' });
+
+  if (error) throw error;
+  return rates.length;
+}
+
+// ============================================
+// Converter for a set of fact rows ({ amount, currency, date_id })
+// Uses the latest rate on or before each row's date (or the earliest known
+// rate if the row predates the table), directly, inverted, or through one
+// intermediate currency. Rows with no usable rate are reported in `missing`.
+// ============================================
+async function createConverter(userId, rows = [], homeCurrency = null) {
+  const home = homeCurrency || await getHomeCurrency(userId);
+  const currencies = new Set(rows.map(row => normalizeCurrency(row.currency) || home));
+  currencies.delete(home);
+
+  const pairs = {};
+  const missing = new Map();
+
+  if (currencies.size > 0) {
+    // Any pair touching a currency we need (covers one-hop cross rates too)
+    const involved = [...currencies, home].join(',');
+    const rates = [];
+    for (let offset = 0; ; offset += RATE_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('dim_exchange_rate')
+        .select('rate_date, base_currency, quote_currency, rate')
+        .or(`base_currency.in.(${involved}),quote_currency.in.(${involved})`)
+        .order('rate_date', { ascending: true })
+        .range(offset, offset + RATE_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rates.push(...data);
+      if (data.length < RATE_PAGE_SIZE) break;
+    }
+
+    for (const rate of rates) {
+      const value = parseFloat(rate.rate);
+      const direct = `${rate.base_currency}>${rate.quote_currency}`;
+      const inverse = `${rate.quote_currency}>${rate.base_currency}`;
+      (pairs[direct] = pairs[direct] || []).push([rate.rate_date, value]);
+      (pairs[inverse] = pairs[inverse] || []).push([rate.rate_date, 1 / value]);
+    }
+  }
+
+  const pivots = [...new Set(Object.keys(pairs).map(key => key.split('>')[0]))];
+
+  const rateOn = (from, to, date) => {
+    const series = pairs[`${from}>${to}`];
+    if (!series) return null;
+    let best = series[0][1];
+    for (const [rateDate, value] of series) {
+      if (rateDate > date) break;
+      best = value;
+    }
+    return best;
+  };
+
+  const findRate = (from, to, date) => {
+    const direct = rateOn(from, to, date);
+    if (direct !== null) return direct;
+
+    for (const pivot of pivots) {
+      if (pivot === from || pivot === to) continue;
+      const first = rateOn(from, pivot, date);
+      const second = first !== null ? rateOn(pivot, to, date) : null;
+      if (second !== null) return first * second;
+    }
+    return null;
+  };
+
+  const convertAmount = (amount, currency, date) => {
+    const from = normalizeCurrency(currency) || home;
+    const value = parseFloat(amount);
+    if (from === home) return value;
+
+    const day = date || new Date().toISOString().split('T')[0];
+    const rate = findRate(from, home, day);
+    if (rate === null) {
+      missing.set(from, (missing.get(from) || 0) + 1);
+      return null;
+    }
+    return value * rate;
+  };
+
+  return {
+    currency: home,
+    // Converted amount for a fact row; null when no rate is known
+    convert: (row) => convertAmount(row.amount, row.currency, row.date_id),
+    convertAmount,
+    // Rows with `amount` replaced by the home-currency value; unconvertible rows are dropped
+    convertRows: (rows) => rows
+      .map(row => ({ ...row, amount: convertAmount(row.amount, row.currency, row.date_id) }))
+      .filter(row => row.amount !== null),
+    // Attach to analytics responses so clients know how totals were built
+    info: () => ({
+      currency: home,
+      missingRates: [...missing.entries()].map(([currency, count]) => ({ currency, count }))
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_SYMBOLS,
+  normalizeCurrency,
+  detectCurrency,
+  formatMoney,
+  getHomeCurrency,
+  parseRatesFile,
+  saveRates,
+  createConverter
+};
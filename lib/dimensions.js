@@ -0,0 +1,192 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// dim_category: category_id, category_name, user_id (null = system default),
+// parent_category_id, category_type, icon_name, color_code
+// Unique (user_id, category_name). Categories are one level deep: a parent
+// never has a parent of its own.
+//
+// dim_category_override: user_id, category_id (system), replacement_category_id
+// Written when a user renames or merges a system category; the system
+// category is hidden for that user and resolves to the replacement.
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// A real calendar date as YYYY-MM-DD (dim_date key). new Date() alone rolls
+// impossible dates over (2026-02-30 -> 2026-03-02), so round-trip it
+const isDateId = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value))
+  && !isNaN(Date.parse(value))
+  && new Date(value).toISOString().split('T')[0] === value;
+
+// ============================================
+// HELPER: Find a category visible to a user by name (case-insensitive)
+// The user's own category wins over a system default with the same name
+// ============================================
+async function findCategoryId(categoryName, userId) {
+  if (!categoryName || !String(categoryName).trim()) return null;
+
+  let query = supabase
+    .from('dim_category')
+    .select('category_id, user_id')
+    .ilike('category_name', escapeLike(String(categoryName).trim()));
+
+  query = userId
+    ? query.or(`user_id.eq.${userId},user_id.is.null`)
+    : query.is('user_id', null);
+
+  const { data: matches, error } = await query;
+  if (error || !matches || matches.length === 0) return null;
+
+  const own = matches.find(c => c.user_id === userId);
+  if (own) return own.category_id;
+
+  return resolveCategoryId(matches[0].category_id, userId);
+}
+
+// ============================================
+// HELPER: Follow a user's override of a system category
+// ============================================
+async function resolveCategoryId(categoryId, userId) {
+  if (!categoryId || !userId) return categoryId;
+
+  const { data: override } = await supabase
+    .from('dim_category_override')
+    .select('replacement_category_id')
+    .eq('user_id', userId)
+    .eq('category_id', categoryId)
+    .maybeSingle();
+
+  return override ? override.replacement_category_id : categoryId;
+}
+
+// ============================================
+// HELPER: A category plus its subcategories (for filters and budgets)
+// ============================================
+async function getSubcategoryIds(categoryId, userId) {
+  let query = supabase
+    .from('dim_category')
+    .select('category_id')
+    .eq('parent_category_id', categoryId);
+
+  query = userId
+    ? query.or(`user_id.eq.${userId},user_id.is.null`)
+    : query.is('user_id', null);
+
+  const { data: children } = await query;
+  return [categoryId, ...(children || []).map(c => c.category_id)];
+}
+
+// ============================================
+// HELPER: Get or create category_id
+// Unknown names become a category owned by that user, never a system one
+// ============================================
+async function getOrCreateCategoryId(categoryName, userId) {
+  try {
+    if (!categoryName || !String(categoryName).trim()) return null;
+
+    // Check if exists
+    const existingId = await findCategoryId(categoryName, userId);
+    if (existingId) return existingId;
+
+    // Create if doesn't exist
+    const { data: newCategory, error } = await supabase
+      .from('dim_category')
+      .insert([{ category_name: String(categoryName).trim(), user_id: userId || null }])
+      .select('category_id')
+      .single();
+
+    if (error) {
+      // Created concurrently by another request
+      if (error.code === '23505') return findCategoryId(categoryName, userId);
+      throw error;
+    }
+    return newCategory.category_id;
+  } catch (error) {
+    console.error('Category error:', error);
+    return null;
+  }
+}
+
+// ============================================
+// HELPER: Get or create date_id
+// ============================================
+async function getOrCreateDateId(dateString) {
+  try {
+    const date = new Date(dateString);
+
+    // Check if exists
+    const { data: existing } = await supabase
+      .from('dim_date')
+      .select('date_id')
+      .eq('date_id', dateString)
+      .single();
+
+    if (existing) return dateString;
+
+    // Create if doesn't exist
+    const { error } = await supabase
+      .from('dim_date')
+      .insert([{
+        date_id: dateString,
+        day_of_month: date.getDate(),
+        month: date.getMonth() + 1,
+        year: date.getFullYear(),
+        day_of_week: date.getDay() + 1,
+        day_name: date.toLocaleDateString('en-US', { weekday: 'long' }),
+        month_name: date.toLocaleDateString('en-US', { month: 'long' }),
+        quarter: Math.floor(date.getMonth() / 3) + 1,
+        week: Math.ceil(date.getDate() / 7),
+        is_weekend: date.getDay() === 0 || date.getDay() === 6,
+        is_holiday: false
+      }]);
+
+    if (error) throw error;
+    return dateString;
+  } catch (error) {
+    console.error('Date error:', error);
+    return null;
+  }
+}
+
+// ============================================
+// HELPER: Get or create store_id
+// ============================================
+async function getOrCreateStoreId(storeName) {
+  if (!storeName) return null;
+
+  try {
+    const { data: existing } = await supabase
+      .from('dim_store')
+      .select('store_id')
+      .eq('store_name', storeName)
+      .single();
+
+    if (existing) return existing.store_id;
+
+    const { data: newStore, error } = await supabase
+      .from('dim_store')
+      .insert([{ store_name: storeName }])
+      .select('store_id')
+      .single();
+
+    if (error) throw error;
+    return newStore.store_id;
+  } catch (error) {
+    console.error('Store error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  isDateId,
+  findCategoryId,
+  resolveCategoryId,
+  getSubcategoryIds,
+  getOrCreateCategoryId,
+  getOrCreateDateId,
+  getOrCreateStoreId
+};
@@ -0,0 +1,234 @@
+const { createClient } = require('@supabase/supabase-js');
+const { hashDistance } = require('./imagePipeline');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_receipts.image_hash: imageHash() of the first page (null for PDFs and
+// receipts scanned before hashing)
+
+// What a scan does when it looks like a duplicate (?onDuplicate=)
+//   review - keep it as a draft listing the matches (default)
+//   skip   - store nothing
+//   link   - attach the image to the best matching expense that has no receipt
+//   save   - save it anyway
+const DUPLICATE_ACTIONS = ['review', 'skip', 'link', 'save'];
+
+// Reported from this similarity up. Amount and date alone never count (the
+// same lunch on two days): a match also needs the store or the image.
+const MATCH_THRESHOLD = 0.7;
+
+// Hash distances (of 64 bits): the same photo or a re-encoded copy stays
+// within STRONG; receipts are mostly white paper with rows of text, so
+// looser matches only count when the store, date and amount agree too
+const STRONG_HASH_DISTANCE = 4;
+const WEAK_HASH_DISTANCE = 10;
+
+const DATE_WINDOW_DAYS = 3;
+const HASH_CANDIDATES = 1000;
+const MAX_MATCHES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateId, days) {
+  return new Date(Date.parse(dateId) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+const dayDiff = (a, b) => Math.round(Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS);
+
+const amountTolerance = (amount) => Math.max(0.01, Math.abs(amount) * 0.01);
+
+const nameTokens = (name) => String(name || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 2);
+
+// Store names agree when they share at least half the words of the shorter one
+function namesMatch(a, b) {
+  const left = nameTokens(a);
+  const right = new Set(nameTokens(b));
+  if (left.length === 0 || right.size === 0) return false;
+
+  const shared = left.filter(t => right.has(t)).length;
+  return shared >= Math.min(left.length, right.size) / 2;
+}
+
+// ============================================
+// HELPER: Store/date/amount agreement between a scan and a stored row
+// Returns { score (0-1), reasons }
+// ============================================
+function fieldScore(scan, row) {
+  const reasons = [];
+  let score = 0;
+
+  if (!(scan.amount > 0) || Math.abs(parseFloat(row.amount) - scan.amount) > amountTolerance(scan.amount)) {
+    return { score, reasons };
+  }
+  score += 0.5;
+  reasons.push('amount');
+
+  if (scan.date && row.date) {
+    const days = dayDiff(scan.date, row.date);
+    if (days <= DATE_WINDOW_DAYS) {
+      score += days === 0 ? 0.3 : days === 1 ? 0.2 : 0.1;
+      reasons.push('date');
+    }
+  }
+
+  if (namesMatch(scan.merchant, row.store)) {
+    score += 0.2;
+    reasons.push('store');
+  }
+
+  return { score, reasons };
+}
+
+async function getStoreNames(storeIds) {
+  const ids = [...new Set(storeIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data: stores, error } = await supabase
+    .from('dim_store')
+    .select('store_id, store_name')
+    .in('store_id', ids);
+
+  if (error) throw error;
+  return Object.fromEntries(stores.map(s => [String(s.store_id), s.store_name]));
+}
+
+// ============================================
+// Likely duplicates of a scan among existing receipts and expenses: those
+// in the target wallet for wallet scans, otherwise the user's own
+// scan: { imageHash, merchant, amount, date }
+// Returns [{ receiptId, expenseId, store, amount, currency, date,
+//   hasReceipt, similarity, reasons }], best first
+// ============================================
+async function findDuplicates(userId, target, scan) {
+  const scoped = (query) => (target.wallet_id
+    ? query.eq('wallet_id', target.wallet_id)
+    : query.eq('user_id', userId));
+
+  const candidates = new Map();
+
+  // Receipts that look alike
+  if (scan.imageHash) {
+    const { data: receipts, error } = await scoped(supabase
+      .from('fact_receipts')
+      .select('receipt_id, amount, currency, date_id, store_id, image_hash'))
+      .not('image_hash', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(HASH_CANDIDATES);
+
+    if (error) throw error;
+
+    for (const receipt of receipts) {
+      const distance = hashDistance(scan.imageHash, receipt.image_hash);
+      if (distance > WEAK_HASH_DISTANCE) continue;
+
+      candidates.set(`r:${receipt.receipt_id}`, {
+        receiptId: receipt.receipt_id,
+        expenseId: null,
+        storeId: receipt.store_id,
+        amount: parseFloat(receipt.amount),
+        currency: receipt.currency,
+        date: receipt.date_id,
+        distance
+      });
+    }
+  }
+
+  // Expenses (typed in or scanned) with the same amount around the same date
+  if (scan.amount > 0 && scan.date) {
+    const tolerance = amountTolerance(scan.amount);
+    const { data: expenses, error } = await scoped(supabase
+      .from('fact_expenses')
+      .select('expense_id, receipt_id, amount, currency, date_id, store_id, description'))
+      .gte('date_id', addDays(scan.date, -DATE_WINDOW_DAYS))
+      .lte('date_id', addDays(scan.date, DATE_WINDOW_DAYS))
+      .gte('amount', scan.amount - tolerance)
+      .lte('amount', scan.amount + tolerance)
+      .limit(50);
+
+    if (error) throw error;
+
+    for (const expense of expenses) {
+      const key = expense.receipt_id ? `r:${expense.receipt_id}` : `e:${expense.expense_id}`;
+      const existing = candidates.get(key);
+
+      candidates.set(key, {
+        receiptId: expense.receipt_id || null,
+        storeId: expense.store_id,
+        amount: parseFloat(expense.amount),
+        currency: expense.currency,
+        date: expense.date_id,
+        distance: null,
+        ...existing,
+        expenseId: expense.expense_id,
+        description: expense.description
+      });
+    }
+  }
+
+  if (candidates.size === 0) return [];
+
+  const storeNames = await getStoreNames([...candidates.values()].map(c => c.storeId));
+
+  const matches = [];
+  for (const candidate of candidates.values()) {
+    const store = storeNames[String(candidate.storeId)] || candidate.description || null;
+    const fields = fieldScore(scan, { ...candidate, store });
+
+    const imageMatch = candidate.distance !== null && candidate.distance <= WEAK_HASH_DISTANCE;
+    if (!imageMatch && !fields.reasons.includes('store')) continue;
+
+    let similarity = fields.score;
+    const reasons = [...fields.reasons];
+
+    if (imageMatch) {
+      similarity = Math.min(1, similarity + 0.2);
+      if (candidate.distance <= STRONG_HASH_DISTANCE) {
+        similarity = Math.max(similarity, 1 - candidate.distance / 64);
+      }
+      reasons.unshift('image');
+    }
+
+    if (similarity < MATCH_THRESHOLD) continue;
+
+    matches.push({
+      receiptId: candidate.receiptId,
+      expenseId: candidate.expenseId,
+      store,
+      amount: candidate.amount,
+      currency: candidate.currency,
+      date: candidate.date,
+      hasReceipt: !!candidate.receiptId,
+      similarity: Math.round(similarity * 100) / 100,
+      reasons
+    });
+  }
+
+  matches.sort((a, b) => b.similarity - a.similarity);
+  const top = matches.slice(0, MAX_MATCHES);
+
+  // Receipts found by image: which expense do they belong to?
+  const unlinked = top.filter(m => m.receiptId && !m.expenseId).map(m => m.receiptId);
+  if (unlinked.length > 0) {
+    const { data: expenses, error } = await supabase
+      .from('fact_expenses')
+      .select('expense_id, receipt_id')
+      .in('receipt_id', unlinked);
+
+    if (error) throw error;
+
+    const byReceipt = Object.fromEntries(expenses.map(e => [String(e.receipt_id), e.expense_id]));
+    top.forEach(m => {
+      if (m.receiptId && !m.expenseId) m.expenseId = byReceipt[String(m.receiptId)] || null;
+    });
+  }
+
+  return top;
+}
+
+module.exports = {
+  DUPLICATE_ACTIONS,
+  findDuplicates
+};
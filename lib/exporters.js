@@ -0,0 +1,186 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// ============================================
+// Expense report writers (CSV, XLSX, PDF)
+// `expenses` are rows in the mapped shape returned by GET /api/expenses
+// ============================================
+
+const COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'category', header: 'Category', width: 20 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'payment_method', header: 'Payment Method', width: 16 },
+  { key: 'tags', header: 'Tags', width: 24 },
+  { key: 'receipt_id', header: 'Receipt ID', width: 38 }
+];
+
+const formatTags = (tags) => (Array.isArray(tags) ? tags.join(', ') : (tags || ''));
+
+const formatMoney = (value) => parseFloat(value).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+function cellValue(expense, key) {
+  if (key === 'tags') return formatTags(expense.tags);
+  if (key === 'amount') return parseFloat(expense.amount);
+  const value = expense[key];
+  return value === null || value === undefined ? '' : value;
+}
+
+// ============================================
+// CSV (RFC 4180, with a BOM so Excel opens UTF-8 correctly)
+// ============================================
+function escapeCSV(value) {
+  const str = String(value);
+  // Guard against spreadsheet formula injection
+  const safe = /^[=+\-@]/.test(str) && isNaN(Number(str)) ? `'${str}` : str;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCSV(expenses) {
+  const lines = [COLUMNS.map(c => c.header).join(',')];
+
+  for (const expense of expenses) {
+    lines.push(COLUMNS.map(c => escapeCSV(cellValue(expense, c.key))).join(','));
+  }
+
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+// ============================================
+// XLSX: an "Expenses" sheet plus a "Summary" sheet by category
+// Summary totals are in summary.currency (the user's home currency)
+// ============================================
+async function toXLSX(expenses, summary) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Xpnse';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Expenses');
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('amount').numFmt = '#,##0.00';
+
+  for (const expense of expenses) {
+    sheet.addRow(Object.fromEntries(COLUMNS.map(c => [c.key, cellValue(expense, c.key)])));
+  }
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { key: 'category', header: 'Category', width: 24 },
+    { key: 'count', header: 'Count', width: 10 },
+    { key: 'totalAmount', header: summary.currency ? `Total (${summary.currency})` : 'Total', width: 14 },
+    { key: 'percentage', header: '% of Total', width: 12 }
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+  summarySheet.getColumn('totalAmount').numFmt = '#,##0.00';
+
+  summary.categories.forEach(c => summarySheet.addRow(c));
+  const totalRow = summarySheet.addRow({ category: 'Total', count: expenses.length, totalAmount: summary.totalSpent });
+  totalRow.font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ============================================
+// PDF: summary page, expense table, then optional receipt images
+// receipts: [{ receipt_id, buffer }] - only JPEG/PNG can be embedded
+// ============================================
+function toPDF(expenses, summary, { period = {}, userName, receipts = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // --- Summary page ---
+    doc.fontSize(20).text('Expense Report', { align: 'left' });
+    doc.moveDown(0.5);
+    doc.fontSize(10).fillColor('#555555');
+    if (userName) doc.text(`Prepared for: ${userName}`);
+    doc.text(`Period: ${period.startDate || 'All time'} to ${period.endDate || 'today'}`);
+    doc.text(`Generated: ${new Date().toISOString().split('T')[0]}`);
+    doc.fillColor('black').moveDown();
+
+    doc.fontSize(14).text(`Total spent: ${summary.currency ? `${summary.currency} ` : ''}${formatMoney(summary.totalSpent)}`);
+    doc.fontSize(10).text(`${expenses.length} expenses`);
+    doc.moveDown();
+
+    doc.fontSize(12).text('By category', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    for (const c of summary.categories) {
+      const y = doc.y;
+      doc.text(c.category, left, y, { width: width * 0.5 });
+      doc.text(String(c.count), left + width * 0.5, y, { width: width * 0.15, align: 'right' });
+      doc.text(formatMoney(c.totalAmount), left + width * 0.65, y, { width: width * 0.2, align: 'right' });
+      doc.text(`${c.percentage}%`, left + width * 0.85, y, { width: width * 0.15, align: 'right' });
+      doc.moveDown(0.3);
+    }
+
+    // --- Expense table ---
+    doc.addPage();
+    const cols = [
+      { key: 'date', label: 'Date', w: 0.14 },
+      { key: 'category', label: 'Category', w: 0.2 },
+      { key: 'description', label: 'Description', w: 0.36 },
+      { key: 'payment_method', label: 'Payment', w: 0.15 },
+      { key: 'amount', label: 'Amount', w: 0.15, align: 'right' }
+    ];
+
+    const drawRow = (values, bold = false) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+      const y = doc.y;
+      let x = left;
+      let height = 0;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      cols.forEach((col, i) => {
+        const w = width * col.w;
+        const text = String(values[i]);
+        height = Math.max(height, doc.heightOfString(text, { width: w - 4 }));
+        doc.text(text, x, y, { width: w - 4, align: col.align || 'left' });
+        x += w;
+      });
+      doc.x = left;
+      doc.y = y + height + 4;
+    };
+
+    drawRow(cols.map(c => c.label), true);
+    for (const expense of expenses) {
+      drawRow(cols.map(c => (c.key === 'amount'
+        ? `${expense.currency ? `${expense.currency} ` : ''}${formatMoney(expense.amount)}`
+        : cellValue(expense, c.key))));
+    }
+
+    // --- Receipt images ---
+    for (const receipt of receipts) {
+      try {
+        doc.addPage();
+        doc.font('Helvetica').fontSize(10).text(`Receipt ${receipt.receipt_id}`);
+        doc.moveDown(0.5);
+        doc.image(receipt.buffer, {
+          fit: [width, doc.page.height - doc.y - doc.page.margins.bottom],
+          align: 'center'
+        });
+      } catch (error) {
+        doc.text('(receipt image could not be embedded)');
+      }
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  toCSV,
+  toXLSX,
+  toPDF
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// ============================================
+// Google ID token verification
+// GOOGLE_CLIENT_IDS: comma separated OAuth client IDs (web, Android, iOS)
+// GOOGLE_JWKS_URL: signing keys endpoint (default: Google's)
+// GOOGLE_JWKS_FILE: a local JWKS file used instead of fetching (tests)
+// ============================================
+
+const GOOGLE_JWKS_URL = process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// Unknown `kid`s trigger a refetch (key rotation), but at most this often
+const MIN_REFETCH_MS = 60 * 1000;
+
+let keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+const getClientIds = () => (process.env.GOOGLE_CLIENT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+function toKeyMap(jwks) {
+  const keys = new Map();
+  for (const jwk of (jwks && jwks.keys) || []) {
+    if (jwk.kid && jwk.kty === 'RSA') {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+  return keys;
+}
+
+// ============================================
+// Replace the key set (e.g. with a locally generated one in tests);
+// pass null to go back to fetching
+// ============================================
+function setJwks(jwks) {
+  keyCache = jwks
+    ? { keys: toKeyMap(jwks), expiresAt: Infinity, fetchedAt: Infinity }
+    : { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+}
+
+async function loadKeys(force = false) {
+  const now = Date.now();
+  if (!force && now < keyCache.expiresAt) return keyCache.keys;
+  if (force && now - keyCache.fetchedAt < MIN_REFETCH_MS) return keyCache.keys;
+
+  if (process.env.GOOGLE_JWKS_FILE) {
+    setJwks(JSON.parse(fs.readFileSync(process.env.GOOGLE_JWKS_FILE, 'utf8')));
+    return keyCache.keys;
+  }
+
+  const response = await axios.get(GOOGLE_JWKS_URL, { timeout: 5000 });
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+
+  keyCache = {
+    keys: toKeyMap(response.data),
+    expiresAt: now + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_CACHE_MS),
+    fetchedAt: now
+  };
+  return keyCache.keys;
+}
+
+// ============================================
+// Verify an ID token and return { googleId, email, name, picture }
+// Throws an error with status 401 when the token is not acceptable
+// ============================================
+async function verifyGoogleIdToken(idToken) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  };
+
+  const clientIds = getClientIds();
+  if (clientIds.length === 0) {
+    throw new Error('GOOGLE_CLIENT_IDS is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) throw fail('Malformed Google ID token');
+
+  let key = (await loadKeys()).get(decoded.header.kid);
+  if (!key) key = (await loadKeys(true)).get(decoded.header.kid);
+  if (!key) throw fail('Unknown Google signing key');
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: clientIds,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (error) {
+    throw fail(`Invalid Google ID token: ${error.message}`);
+  }
+
+  if (!claims.sub || !claims.email) throw fail('Google ID token has no subject or email');
+  if (claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw fail('Google email address is not verified');
+  }
+
+  return {
+    googleId: claims.sub,
+    email: claims.email,
+    name: claims.name || claims.email.split('@')[0],
+    picture: claims.picture || null
+  };
+}
+
+module.exports = {
+  verifyGoogleIdToken,
+  setJwks
+};
@@ -0,0 +1,209 @@
+const sharp = require('sharp');
+
+// ============================================
+// Receipt image preprocessing
+// Storage: EXIF auto-rotation, metadata (GPS, camera) stripped, resized and
+//   re-encoded as JPEG, plus a thumbnail
+// OCR: grayscale, contrast stretch and deskew of the stored version
+// HEIC (iPhone photos) is converted first - prebuilt sharp can't decode it.
+// Images that still can't be processed are rejected, never stored with
+// their metadata.
+// ============================================
+
+const STORAGE_MAX_WIDTH = 2000;
+const STORAGE_MAX_HEIGHT = 3000;
+const STORAGE_QUALITY = 82;
+const THUMBNAIL_WIDTH = 320;
+
+// Deskew search: ±MAX_SKEW degrees in SKEW_STEP steps on a small copy
+const MAX_SKEW = 10;
+const SKEW_STEP = 1;
+const SKEW_SAMPLE_WIDTH = 600;
+
+// Content type from the file's magic bytes; null when unknown
+function detectContentType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+    const brand = buffer.subarray(8, 12).toString('latin1');
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+
+  return null;
+}
+
+// HEIC -> JPEG; loaded lazily, the decoder is large and most uploads are JPEG
+async function convertHeic(buffer) {
+  const convert = require('heic-convert');
+  return Buffer.from(await convert({ buffer, format: 'JPEG', quality: 0.92 }));
+}
+
+// ============================================
+// Storage version of an uploaded page
+// Returns { buffer, mimetype, thumbnail: { buffer, mimetype } | null, processed }
+// (processed is false for PDFs, which are stored as uploaded)
+// Throws code UNSUPPORTED_IMAGE when the image can't be decoded
+// ============================================
+async function prepareForStorage(buffer, mimetype) {
+  // Only the file's own bytes make it a PDF - the client's label doesn't
+  const detected = detectContentType(buffer) || (mimetype === 'application/pdf' ? null : mimetype);
+
+  if (detected === 'application/pdf') {
+    return { buffer, mimetype: detected, thumbnail: null, processed: false };
+  }
+
+  try {
+    const input = detected === 'image/heic' ? await convertHeic(buffer) : buffer;
+
+    // rotate() with no angle applies the EXIF orientation; metadata is only
+    // kept with withMetadata(), so the output carries none
+    const image = sharp(input, { failOn: 'none' }).rotate();
+
+    const stored = await image
+      .clone()
+      .resize({ width: STORAGE_MAX_WIDTH, height: STORAGE_MAX_HEIGHT, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: STORAGE_QUALITY, mozjpeg: true })
+      .toBuffer();
+
+    const thumbnail = await image
+      .clone()
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+
+    return {
+      buffer: stored,
+      mimetype: 'image/jpeg',
+      thumbnail: { buffer: thumbnail, mimetype: 'image/jpeg' },
+      processed: true
+    };
+  } catch (error) {
+    console.warn('⚠️ Image preprocessing failed:', detected, error.message);
+    const unsupported = new Error(`Could not read this image (${detected || 'unknown type'})`);
+    unsupported.code = 'UNSUPPORTED_IMAGE';
+    throw unsupported;
+  }
+}
+
+// ============================================
+// HELPER: Skew angle (degrees) that lines the text rows up horizontally
+// Rows of text give the darkness-per-row profile sharp peaks when level,
+// so keep the rotation whose profile is most uneven
+// ============================================
+async function detectSkew(buffer) {
+  const sample = await sharp(buffer)
+    .resize({ width: SKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+    .grayscale()
+    .normalise()
+    .threshold(160)
+    .png()
+    .toBuffer();
+
+  let best = { angle: 0, score: -1 };
+
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+    const { data, info } = await sharp(sample)
+      .rotate(angle, { background: '#ffffff' })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    let score = 0;
+    for (let y = 0; y < info.height; y++) {
+      let dark = 0;
+      const row = y * info.width * info.channels;
+      for (let x = 0; x < info.width; x++) {
+        if (data[row + x * info.channels] < 128) dark++;
+      }
+      score += dark * dark;
+    }
+
+    // Ties go to the smaller correction
+    if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) {
+      best = { angle, score };
+    }
+  }
+
+  return best.angle;
+}
+
+// ============================================
+// OCR version of a (stored) page: grayscale, contrast stretch, deskew
+// Returns { buffer, mimetype, angle }; the input unchanged if sharp can't read it
+// ============================================
+async function prepareForOcr(buffer, mimetype) {
+  try {
+    const angle = await detectSkew(buffer);
+
+    let image = sharp(buffer, { failOn: 'none' }).rotate();
+    if (angle !== 0) {
+      image = sharp(await image.toBuffer()).rotate(angle, { background: '#ffffff' });
+    }
+
+    const prepared = await image
+      .grayscale()
+      .normalise()
+      .png()
+      .toBuffer();
+
+    return { buffer: prepared, mimetype: 'image/png', angle };
+  } catch (error) {
+    console.warn('⚠️ OCR preprocessing skipped:', error.message);
+    return { buffer, mimetype, angle: 0 };
+  }
+}
+
+// ============================================
+// Perceptual (difference) hash: 64 bits as 16 hex chars, or null if sharp
+// can't read the image. Re-encoded, resized or re-photographed copies of the
+// same receipt stay within a few bits of each other.
+// ============================================
+async function imageHash(buffer) {
+  try {
+    const { data, info } = await sharp(buffer, { failOn: 'none' })
+      .rotate()
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    let bits = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const left = data[(y * 9 + x) * info.channels];
+        const right = data[(y * 9 + x + 1) * info.channels];
+        bits = (bits << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.warn('⚠️ Image hash skipped:', error.message);
+    return null;
+  }
+}
+
+// Number of differing bits between two imageHash values (0-64)
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  detectContentType,
+  prepareForStorage,
+  prepareForOcr,
+  imageHash,
+  hashDistance
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ============================================
+// Outgoing email
+// MAIL_TRANSPORT: 'smtp' | 'file' | 'console' (default: console)
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - one JSON file per message in MAIL_DIR (default: <os tmpdir>/xpnse-mail)
+//   console - logged to stdout
+// MAIL_FROM sets the sender for every transport.
+// A transport is any object with `send(message)` returning a promise.
+// ============================================
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Xpnse <no-reply@xpnse.app>';
+
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+}
+
+function createFileTransport(dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'xpnse-mail')) {
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return {};
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+// Swap the transport (tests); null goes back to MAIL_TRANSPORT
+function setTransport(custom) {
+  transport = custom;
+}
+
+// ============================================
+// Send { to, subject, text, html? }
+// ============================================
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createFileTransport,
+  createConsoleTransport
+};
@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyTotp, hashRecoveryCode, decryptSecret } = require('./totp');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_user_mfa: user_id (pk), totp_secret (encrypted), is_enabled, last_used_step,
+// recovery_code_hashes (text[]), created_at, enabled_at
+// A row with is_enabled = false is an enrollment waiting for its first code.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CAS_ATTEMPTS = 5;
+
+async function getMfa(userId) {
+  const { data: mfa, error } = await supabase
+    .from('fact_user_mfa')
+    .select('user_id, totp_secret, is_enabled, last_used_step, recovery_code_hashes, enabled_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return mfa;
+}
+
+// ============================================
+// Check a TOTP code (each time step works once) or burn a recovery code
+// Returns 'totp', 'recovery' or null
+// ============================================
+async function checkSecondFactor(mfa, { code, recoveryCode }) {
+  if (!mfa) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(mfa.totp_secret), code, { afterStep: mfa.last_used_step });
+    if (step === null) return null;
+
+    let update = supabase
+      .from('fact_user_mfa')
+      .update({ last_used_step: step })
+      .eq('user_id', mfa.user_id);
+    // Lose the race against a concurrent request with the same code
+    update = mfa.last_used_step === null
+      ? update.is('last_used_step', null)
+      : update.eq('last_used_step', mfa.last_used_step);
+
+    const { data: updated, error } = await update.select('user_id');
+    if (error) throw error;
+    return updated.length > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    let current = mfa;
+
+    // Compare-and-swap on the whole array that was read: a concurrent request
+    // spending another code changes it, so re-read and try again
+    for (let attempt = 0; attempt < RECOVERY_CAS_ATTEMPTS && current; attempt++) {
+      const hashes = current.recovery_code_hashes || [];
+      if (!hashes.includes(hash)) return null;
+
+      const { data: updated, error } = await supabase
+        .from('fact_user_mfa')
+        .update({ recovery_code_hashes: hashes.filter(h => h !== hash) })
+        .eq('user_id', current.user_id)
+        .eq('recovery_code_hashes', `{${hashes.join(',')}}`)
+        .select('user_id');
+
+      if (error) throw error;
+      if (updated.length > 0) return 'recovery';
+
+      current = await getMfa(current.user_id);
+    }
+    return null;
+  }
+
+  return null;
+}
+
+// ============================================
+// Challenge token handed out by /login when a second factor is needed
+// It has no session id, so the auth middleware never accepts it
+// ============================================
+const createChallenge = (userId, email) => jwt.sign(
+  { userId, email, typ: 'mfa_challenge' },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+function readChallenge(token) {
+  try {
+    const claims = jwt.verify(token, JWT_SECRET);
+    return claims.typ === 'mfa_challenge' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  CHALLENGE_EXPIRES_IN,
+  getMfa,
+  checkSecondFactor,
+  createChallenge,
+  readChallenge
+};
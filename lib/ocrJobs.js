@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_ocr_jobs: job_id, user_id, batch_id (null for single scans), file_name,
+// status ('queued' | 'processing' | 'done' | 'failed'),
+// pages (jsonb [{ path, mimetype, thumbnailPath }], receipts bucket, in page order),
+// options (jsonb: autoSave, currency, walletId),
+// result (jsonb, the synchronous /scan response), error, attempts,
+// created_at, updated_at, started_at, finished_at
+// The uploaded pages are stored before the job is queued, so any instance can
+// pick the job up.
+
+// A job still 'processing' after this long died with its instance
+// (longer than any function timeout) and may be picked up again
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Automatic pick-ups per job; a manual retry starts a new round
+const MAX_ATTEMPTS = 3;
+
+const JOB_SELECT = 'job_id, user_id, batch_id, file_name, status, pages, options, result, error, attempts, created_at, updated_at, started_at, finished_at';
+
+function mapJob(job) {
+  return {
+    id: job.job_id,
+    batchId: job.batch_id,
+    fileName: job.file_name,
+    pages: (job.pages || []).length,
+    status: job.status,
+    attempts: job.attempts,
+    result: job.status === 'done' ? job.result : null,
+    error: job.status === 'failed' ? job.error : null,
+    retryable: job.status === 'failed',
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+async function createJob(userId, { pages, options, batchId = null, fileName = null }) {
+  const { data: job, error } = await supabase
+    .from('fact_ocr_jobs')
+    .insert([{
+      job_id: crypto.randomUUID(),
+      user_id: userId,
+      batch_id: batchId,
+      file_name: fileName,
+      status: 'queued',
+      pages,
+      options,
+      attempts: 0
+    }])
+    .select(JOB_SELECT)
+    .single();
+
+  if (error) throw error;
+  return job;
+}
+
+async function getJob(jobId, userId = null) {
+  let query = supabase
+    .from('fact_ocr_jobs')
+    .select(JOB_SELECT)
+    .eq('job_id', jobId);
+
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data: job, error } = await query.maybeSingle();
+
+  // Not a uuid: no such job
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return job;
+}
+
+// Jobs of one batch upload, in upload order
+async function listBatchJobs(batchId, userId) {
+  const { data: jobs, error } = await supabase
+    .from('fact_ocr_jobs')
+    .select(JOB_SELECT)
+    .eq('batch_id', batchId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  // Not a uuid: no such batch
+  if (error && error.code === '22P02') return [];
+  if (error) throw error;
+  return jobs;
+}
+
+// ============================================
+// Take a job for processing; null when another worker got there first
+// or it has used up its attempts
+// ============================================
+async function claimJob(job) {
+  const stale = job.status === 'processing'
+    && new Date(job.started_at) < new Date(Date.now() - STALE_JOB_MS);
+
+  if (job.status !== 'queued' && !stale) return null;
+
+  if (job.attempts >= MAX_ATTEMPTS) {
+    await finishJob(job.job_id, { error: 'Gave up after too many attempts' });
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const { data: claimed, error } = await supabase
+    .from('fact_ocr_jobs')
+    .update({ status: 'processing', attempts: job.attempts + 1, started_at: now, updated_at: now })
+    .eq('job_id', job.job_id)
+    .eq('status', job.status)
+    .eq('attempts', job.attempts)
+    .select(JOB_SELECT);
+
+  if (error) throw error;
+  return claimed[0] || null;
+}
+
+// { result } marks the job done, { error } marks it failed
+async function finishJob(jobId, { result = null, error: message = null }) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('fact_ocr_jobs')
+    .update({
+      status: message ? 'failed' : 'done',
+      result,
+      error: message,
+      finished_at: now,
+      updated_at: now
+    })
+    .eq('job_id', jobId);
+
+  if (error) throw error;
+}
+
+// ============================================
+// Put a failed job back in the queue; returns the job or null if it
+// isn't (or is no longer) failed
+// ============================================
+async function retryJob(jobId, userId) {
+  const { data: jobs, error } = await supabase
+    .from('fact_ocr_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      started_at: null,
+      finished_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('job_id', jobId)
+    .eq('user_id', userId)
+    .eq('status', 'failed')
+    .select(JOB_SELECT);
+
+  // Not a uuid: no such job
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return jobs[0] || null;
+}
+
+// Oldest first: queued jobs plus 'processing' ones whose worker went away
+async function listPendingJobs(limit = 10) {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS).toISOString();
+
+  const { data: jobs, error } = await supabase
+    .from('fact_ocr_jobs')
+    .select(JOB_SELECT)
+    .or(`status.eq.queued,and(status.eq.processing,started_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return jobs;
+}
+
+module.exports = {
+  mapJob,
+  createJob,
+  getJob,
+  listBatchJobs,
+  claimJob,
+  finishJob,
+  retryJob,
+  listPendingJobs
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// ============================================
+// OCR providers
+// OCR_PROVIDERS: comma separated fallback order (default: apiNinjas,tesseract)
+//   apiNinjas - API Ninjas imagetotext (API_NINJAS_KEY)
+//   tesseract - local tesseract.js engine; TESSERACT_LANG (default eng),
+//               TESSERACT_LANG_PATH / TESSERACT_CACHE_PATH for offline language data
+//   stub      - canned text for tests and offline work: OCR_FIXTURE_DIR holds
+//               <sha256 of image>.txt files, falling back to default.txt,
+//               or OCR_STUB_TEXT when there is no directory
+// A provider is any object with `isAvailable()` and
+// `recognize(buffer, { mimetype })` resolving to [{ text }] blocks.
+// Unavailable providers are skipped; a failing one falls through to the next.
+// ============================================
+
+const DEFAULT_ORDER = 'apiNinjas,tesseract';
+
+function createApiNinjasProvider() {
+  return {
+    name: 'apiNinjas',
+    isAvailable: () => !!process.env.API_NINJAS_KEY,
+    recognize: async (buffer, { mimetype } = {}) => {
+      const formData = new FormData();
+      formData.append('image', buffer, {
+        filename: mimetype === 'image/png' ? 'receipt.png' : 'receipt.jpg',
+        contentType: mimetype || 'image/jpeg'
+      });
+
+      const response = await axios.post('https://api.api-ninjas.com/v1/imagetotext', formData, {
+        headers: {
+          ...formData.getHeaders(),
+          'X-Api-Key': process.env.API_NINJAS_KEY
+        },
+        timeout: 30000 // 30 second timeout
+      });
+
+      // API Ninjas returns an array of text blocks
+      return (response.data || []).map(block => ({ text: block.text }));
+    }
+  };
+}
+
+function createTesseractProvider() {
+  let worker = null;
+
+  // One worker per process; loading the language data is the slow part
+  const getWorker = () => {
+    if (!worker) {
+      const { createWorker } = require('tesseract.js');
+      const options = {};
+      if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+      if (process.env.TESSERACT_CACHE_PATH) options.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+      worker = createWorker(process.env.TESSERACT_LANG || 'eng', 1, options)
+        .catch((error) => {
+          worker = null;
+          throw error;
+        });
+    }
+    return worker;
+  };
+
+  return {
+    name: 'tesseract',
+    isAvailable: () => {
+      try {
+        require.resolve('tesseract.js');
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    recognize: async (buffer) => {
+      const { data } = await (await getWorker()).recognize(buffer);
+      const lines = (data.lines || []).map(line => line.text.trim()).filter(Boolean);
+      const text = lines.length > 0 ? lines : String(data.text || '').split('\n');
+      return text.filter(line => line.trim()).map(line => ({ text: line }));
+    }
+  };
+}
+
+function createStubProvider(dir = process.env.OCR_FIXTURE_DIR) {
+  const readFixture = async (buffer) => {
+    if (!dir) return process.env.OCR_STUB_TEXT || '';
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    for (const name of [`${hash}.txt`, 'default.txt']) {
+      try {
+        return await fs.promises.readFile(path.join(dir, name), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return '';
+  };
+
+  return {
+    name: 'stub',
+    isAvailable: () => !!dir || process.env.OCR_STUB_TEXT !== undefined,
+    recognize: async (buffer) => {
+      const text = await readFixture(buffer);
+      return text.split('\n').filter(line => line.trim()).map(line => ({ text: line }));
+    }
+  };
+}
+
+const PROVIDERS = {
+  apiNinjas: createApiNinjasProvider,
+  tesseract: createTesseractProvider,
+  stub: createStubProvider
+};
+
+let providers = null;
+
+function getProviders() {
+  if (!providers) {
+    const names = (process.env.OCR_PROVIDERS || DEFAULT_ORDER).split(',').map(n => n.trim()).filter(Boolean);
+    const unknown = names.filter(name => !PROVIDERS[name]);
+    if (unknown.length > 0) throw new Error(`Unknown OCR_PROVIDERS: ${unknown.join(', ')}`);
+    providers = names.map(name => PROVIDERS[name]());
+  }
+  return providers;
+}
+
+// Swap the provider chain (tests); null goes back to OCR_PROVIDERS
+function setProviders(custom) {
+  providers = custom;
+}
+
+// ============================================
+// Name, availability and position of every configured provider
+// ============================================
+async function describeProviders() {
+  return Promise.all(getProviders().map(async (provider, index) => ({
+    name: provider.name,
+    order: index + 1,
+    available: !!(await provider.isAvailable())
+  })));
+}
+
+// ============================================
+// Run the image through the first provider that works
+// Returns { blocks: [{ text }], provider, fallbacks: [{ provider, error }] }
+// Throws the last provider error, or one with code 'OCR_UNAVAILABLE' when
+// no provider is available
+// ============================================
+async function recognizeText(buffer, options = {}) {
+  const fallbacks = [];
+  let lastError = null;
+
+  for (const provider of getProviders()) {
+    if (!(await provider.isAvailable())) continue;
+
+    try {
+      const blocks = await provider.recognize(buffer, options);
+      return { blocks, provider: provider.name, fallbacks };
+    } catch (error) {
+      console.error(`⚠️ OCR provider ${provider.name} failed:`, error.message);
+      fallbacks.push({ provider: provider.name, error: error.message });
+      lastError = error;
+    }
+  }
+
+  if (lastError) throw lastError;
+
+  const error = new Error('No OCR provider is available');
+  error.code = 'OCR_UNAVAILABLE';
+  throw error;
+}
+
+module.exports = {
+  recognizeText,
+  describeProviders,
+  setProviders,
+  createApiNinjasProvider,
+  createTesseractProvider,
+  createStubProvider
+};
@@ -0,0 +1,60 @@
+// ============================================
+// Text layer of a PDF (e-receipts from Lazada, Shopee, Grab, ...)
+// Returns { text, pageCount }; text is '' for scanned PDFs without a text
+// layer. Loaded lazily - pdf.js is large and most scans are photos.
+// Throws code INVALID_PDF for files pdf.js can't open (damaged, encrypted)
+// ============================================
+
+const MAX_PDF_PAGES = 20;
+
+const isPdf = (mimetype) => mimetype === 'application/pdf';
+
+async function extractPdfText(buffer) {
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    const invalid = new Error(`Could not open this PDF (${error.name || 'parse error'})`);
+    invalid.code = 'INVALID_PDF';
+    throw invalid;
+  }
+
+  try {
+    const lines = [];
+    const pageCount = Math.min(doc.numPages, MAX_PDF_PAGES);
+
+    for (let n = 1; n <= pageCount; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+
+      let line = '';
+      for (const item of content.items) {
+        line += item.str || '';
+        if (item.hasEOL) {
+          lines.push(line);
+          line = '';
+        }
+      }
+      lines.push(line);
+    }
+
+    return {
+      text: lines.map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'),
+      pageCount: doc.numPages
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  isPdf,
+  extractPdfText
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { normalizeCurrency } = require('./currency');
+const { isDateId } = require('./dimensions');
+const { RECEIPT_BUCKET, receiptImageUrl } = require('./receipts');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_receipt_drafts: draft_id, user_id, wallet_id, image_path (receipts bucket,
+// first page), image_paths (text[], every page), thumbnail_path,
+// merchant, amount, currency, date (YYYY-MM-DD), category, description,
+// payment_method, items (jsonb [{ name, price }]), raw_text, warning,
+// ocr_provider, image_hash, duplicates (jsonb, findDuplicates() matches when
+// the scan was held back for review), created_at, updated_at, expires_at
+// Scans that were not auto-saved. Confirming turns a draft into a receipt +
+// expense; discarding or expiry removes it together with its image.
+
+// Every edit pushes expiry out again
+const DRAFT_TTL_DAYS = 7;
+
+const DRAFT_SELECT = 'draft_id, user_id, wallet_id, image_path, image_paths, thumbnail_path, merchant, amount, currency, date, category, description, payment_method, items, raw_text, warning, ocr_provider, image_hash, duplicates, created_at, updated_at, expires_at';
+
+const expiresAt = () => new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Drafts from before multi-page scans only have image_path
+const draftImagePaths = (draft) => (draft.image_paths && draft.image_paths.length > 0
+  ? draft.image_paths
+  : [draft.image_path].filter(Boolean));
+
+function mapDraft(draft) {
+  return {
+    id: draft.draft_id,
+    walletId: draft.wallet_id,
+    store: draft.merchant,
+    amount: draft.amount === null ? null : parseFloat(draft.amount),
+    currency: draft.currency,
+    date: draft.date,
+    category: draft.category,
+    description: draft.description,
+    paymentMethod: draft.payment_method,
+    items: draft.items || [],
+    rawText: draft.raw_text,
+    warning: draft.warning,
+    ocrProvider: draft.ocr_provider,
+    duplicates: draft.duplicates || [],
+    imageUrl: draft.image_path ? receiptImageUrl(draft.image_path) : null,
+    imageUrls: draftImagePaths(draft).map(receiptImageUrl),
+    thumbnailUrl: draft.thumbnail_path ? receiptImageUrl(draft.thumbnail_path) : null,
+    createdAt: draft.created_at,
+    updatedAt: draft.updated_at,
+    expiresAt: draft.expires_at
+  };
+}
+
+// ============================================
+// Validate editable fields from a request body: { fields } (column names,
+// only the ones present) or { error }
+// walletId is resolved by the caller
+// ============================================
+function normalizeDraftFields(body) {
+  const fields = {};
+
+  if (body.store !== undefined) {
+    fields.merchant = body.store ? String(body.store).trim().slice(0, 200) : null;
+  }
+
+  if (body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount < 0) return { error: 'amount must be a number of at least 0' };
+    fields.amount = amount;
+  }
+
+  if (body.currency !== undefined) {
+    const currency = normalizeCurrency(body.currency);
+    if (!currency) return { error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' };
+    fields.currency = currency;
+  }
+
+  if (body.date !== undefined) {
+    if (!isDateId(body.date)) {
+      return { error: 'date must be YYYY-MM-DD' };
+    }
+    fields.date = body.date;
+  }
+
+  if (body.category !== undefined) {
+    fields.category = body.category ? String(body.category).trim().slice(0, 100) : null;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description).slice(0, 500) : null;
+  }
+
+  if (body.paymentMethod !== undefined) {
+    fields.payment_method = body.paymentMethod ? String(body.paymentMethod).slice(0, 50) : null;
+  }
+
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) return { error: 'items must be an array of { name, price }' };
+
+    const items = [];
+    for (const item of body.items) {
+      const price = parseFloat(item?.price);
+      if (!item?.name || isNaN(price)) return { error: 'items must be an array of { name, price }' };
+      items.push({ name: String(item.name).trim().slice(0, 200), price });
+    }
+    fields.items = items;
+  }
+
+  return { fields };
+}
+
+async function createDraft(userId, { walletId, imagePaths, thumbnailPath = null, imageHash = null, duplicates = [], parsed, ocrProvider }) {
+  const { data: draft, error } = await supabase
+    .from('fact_receipt_drafts')
+    .insert([{
+      draft_id: crypto.randomUUID(),
+      user_id: userId,
+      wallet_id: walletId || null,
+      image_path: imagePaths[0] || null,
+      image_paths: imagePaths,
+      thumbnail_path: thumbnailPath,
+      merchant: parsed.merchant,
+      amount: parsed.total,
+      currency: parsed.currency,
+      date: parsed.date,
+      category: parsed.category,
+      items: parsed.items,
+      raw_text: parsed.rawText,
+      warning: parsed.warning || null,
+      ocr_provider: ocrProvider,
+      image_hash: imageHash,
+      duplicates,
+      expires_at: expiresAt()
+    }])
+    .select(DRAFT_SELECT)
+    .single();
+
+  if (error) throw error;
+  return draft;
+}
+
+// Expired drafts count as gone even before the purge removes them
+async function getDraft(draftId, userId) {
+  const { data: draft, error } = await supabase
+    .from('fact_receipt_drafts')
+    .select(DRAFT_SELECT)
+    .eq('draft_id', draftId)
+    .eq('user_id', userId)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  // Not a uuid: no such draft
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return draft;
+}
+
+async function listDrafts(userId, { walletId } = {}) {
+  let query = supabase
+    .from('fact_receipt_drafts')
+    .select(DRAFT_SELECT)
+    .eq('user_id', userId)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (walletId === 'personal') query = query.is('wallet_id', null);
+  else if (walletId) query = query.eq('wallet_id', walletId);
+
+  const { data: drafts, error } = await query;
+
+  if (error) throw error;
+  return drafts;
+}
+
+async function updateDraft(draftId, userId, fields) {
+  const now = new Date().toISOString();
+  const { data: draft, error } = await supabase
+    .from('fact_receipt_drafts')
+    .update({ ...fields, updated_at: now, expires_at: expiresAt() })
+    .eq('draft_id', draftId)
+    .eq('user_id', userId)
+    .gt('expires_at', now)
+    .select(DRAFT_SELECT)
+    .maybeSingle();
+
+  // Not a uuid: no such draft
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return draft;
+}
+
+// ============================================
+// Remove a draft row; returns it, or null if it was already gone (so two
+// confirms of the same draft can't both go through)
+// keepImage: the image now belongs to a confirmed receipt
+// ============================================
+async function takeDraft(draftId, userId, { keepImage = false } = {}) {
+  const { data: drafts, error } = await supabase
+    .from('fact_receipt_drafts')
+    .delete()
+    .eq('draft_id', draftId)
+    .eq('user_id', userId)
+    .select(DRAFT_SELECT);
+
+  // Not a uuid: no such draft
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+
+  const draft = drafts[0] || null;
+  if (draft && !keepImage) {
+    const paths = [...draftImagePaths(draft), draft.thumbnail_path].filter(Boolean);
+    if (paths.length > 0) await removeImages(paths);
+  }
+  return draft;
+}
+
+// Put a taken draft back (confirm failed halfway)
+async function restoreDraft(draft) {
+  const { error } = await supabase
+    .from('fact_receipt_drafts')
+    .insert([draft]);
+
+  if (error) console.error('⚠️ Failed to restore draft:', draft.draft_id, error.message);
+}
+
+async function removeImages(paths) {
+  const { error } = await supabase.storage.from(RECEIPT_BUCKET).remove(paths);
+  if (error) console.error('⚠️ Failed to remove draft images:', error.message);
+}
+
+// ============================================
+// Delete expired drafts and their images; returns how many were removed
+// ============================================
+async function purgeExpiredDrafts(limit = 500) {
+  const now = new Date().toISOString();
+  const { data: drafts, error } = await supabase
+    .from('fact_receipt_drafts')
+    .select('draft_id, image_path, image_paths, thumbnail_path')
+    .lte('expires_at', now)
+    .order('expires_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  if (drafts.length === 0) return 0;
+
+  const { error: deleteError } = await supabase
+    .from('fact_receipt_drafts')
+    .delete()
+    .in('draft_id', drafts.map(d => d.draft_id))
+    .lte('expires_at', now);
+
+  if (deleteError) throw deleteError;
+
+  const paths = drafts.flatMap(d => [...draftImagePaths(d), d.thumbnail_path].filter(Boolean));
+  if (paths.length > 0) await removeImages(paths);
+
+  return drafts.length;
+}
+
+module.exports = {
+  draftImagePaths,
+  mapDraft,
+  normalizeDraftFields,
+  createDraft,
+  getDraft,
+  listDrafts,
+  updateDraft,
+  takeDraft,
+  restoreDraft,
+  purgeExpiredDrafts
+};
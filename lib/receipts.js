@@ -0,0 +1,211 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getOrCreateCategoryId, getOrCreateDateId, getOrCreateStoreId } = require('./dimensions');
+const { checkRowAccess } = require('./wallets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_receipts.image_urls (text[]): every page of a multi-page scan;
+// image_url is the first page, thumbnail_url a small preview of it;
+// image_hash the perceptual hash used to spot duplicate scans (lib/duplicates.js)
+
+const RECEIPT_BUCKET = 'receipts';
+
+const EXPENSE_SELECT = `
+  expense_id,
+  user_id,
+  wallet_id,
+  amount,
+  currency,
+  description,
+  payment_method,
+  receipt_id,
+  created_at,
+  updated_at,
+  dim_category!fact_expenses_category_id_fkey(category_name),
+  dim_date!fact_expenses_date_id_fkey(date_id)
+`;
+
+const receiptImageUrl = (path) => supabase.storage.from(RECEIPT_BUCKET).getPublicUrl(path).data.publicUrl;
+
+// Images of a scan that was not kept
+async function removeReceiptImages(paths) {
+  if (paths.length === 0) return;
+
+  const { error } = await supabase.storage.from(RECEIPT_BUCKET).remove(paths);
+  if (error) console.error('⚠️ Failed to remove receipt images:', error.message);
+}
+
+// Parsed line items, kept so they can be corrected or split later
+async function insertReceiptItems(receiptId, expenseId, userId, items) {
+  if (items.length === 0) return;
+
+  const { error: itemsError } = await supabase
+    .from('fact_receipt_items')
+    .insert(items.map((item, i) => ({
+      receipt_id: receiptId,
+      expense_id: expenseId,
+      user_id: userId,
+      line_number: i + 1,
+      name: String(item.name).substring(0, 200),
+      quantity: 1,
+      unit_price: item.price,
+      price: item.price
+    })));
+
+  if (itemsError) {
+    console.error('⚠️ Failed to store receipt items:', itemsError);
+  } else {
+    console.log(`✅ Stored ${items.length} receipt items`);
+  }
+}
+
+// ============================================
+// Save a scanned receipt: the fact_receipts row, its expense and the parsed
+// line items. Used by auto-saved scans and confirmed drafts.
+// `target` comes from resolveExpenseTarget (wallet and payer).
+// scan: { merchant, amount, currency, date, category, items: [{ name, price }],
+//   imageUrl, imageUrls?, thumbnailUrl?, imageHash?, description?, paymentMethod? }
+// Returns { receipt, expense } (expense is null if only the receipt could be
+// stored) or { error, status }
+// ============================================
+async function saveScannedReceipt(target, scan) {
+  // Step 1: Get dimension IDs
+  const categoryId = await getOrCreateCategoryId(scan.category || 'Uncategorized', target.user_id);
+  const dateId = await getOrCreateDateId(scan.date || new Date().toISOString().split('T')[0]);
+  const storeId = scan.merchant ? await getOrCreateStoreId(scan.merchant) : null;
+
+  if (!categoryId || !dateId) {
+    return { error: 'Failed to create dimension references', status: 500 };
+  }
+
+  // Step 2: Insert into fact_receipts FIRST
+  const { data: receipt, error: receiptError } = await supabase
+    .from('fact_receipts')
+    .insert([{
+      user_id: target.user_id,
+      wallet_id: target.wallet_id,
+      date_id: dateId,
+      category_id: categoryId,
+      store_id: storeId,
+      amount: parseFloat(scan.amount),
+      currency: scan.currency,
+      image_url: scan.imageUrl,
+      image_urls: scan.imageUrls || [scan.imageUrl].filter(Boolean),
+      thumbnail_url: scan.thumbnailUrl || null,
+      image_hash: scan.imageHash || null
+    }])
+    .select('receipt_id')
+    .single();
+
+  if (receiptError) {
+    console.error('❌ Failed to store receipt:', receiptError);
+    throw receiptError;
+  }
+
+  console.log('✅ Receipt stored in fact_receipts:', receipt.receipt_id);
+
+  // Step 3: Create corresponding expense in fact_expenses with receipt_id reference
+  const { data: expense, error: expenseError } = await supabase
+    .from('fact_expenses')
+    .insert([{
+      user_id: target.user_id,
+      wallet_id: target.wallet_id,
+      amount: parseFloat(scan.amount),
+      category_id: categoryId,
+      date_id: dateId,
+      store_id: storeId,
+      description: scan.description || scan.merchant || 'Receipt scan',
+      payment_method: scan.paymentMethod || 'Cash',
+      currency: scan.currency,
+      receipt_id: receipt.receipt_id
+    }])
+    .select(EXPENSE_SELECT)
+    .single();
+
+  if (expenseError) {
+    console.error('❌ Failed to create expense:', expenseError);
+  } else {
+    console.log('✅ Expense created in fact_expenses:', expense.expense_id);
+  }
+
+  // Step 4: Keep the parsed line items
+  await insertReceiptItems(receipt.receipt_id, expense ? expense.expense_id : null, target.user_id, scan.items || []);
+
+  return { receipt, expense: expenseError ? null : expense };
+}
+
+// ============================================
+// Attach a scanned receipt to an expense that has none yet (typed in before
+// the receipt was scanned). The expense keeps its own amount, date and
+// category; the receipt copies them.
+// scan: { items, imageUrl, imageUrls?, thumbnailUrl?, imageHash? }
+// Returns { receipt, expense } or { error, status }
+// ============================================
+async function linkScannedReceipt(userId, expenseId, scan) {
+  const { data: expense, error: fetchError } = await supabase
+    .from('fact_expenses')
+    .select('expense_id, user_id, wallet_id, receipt_id, amount, currency, category_id, date_id, store_id')
+    .eq('expense_id', expenseId)
+    .maybeSingle();
+
+  // Not a uuid: no such expense
+  if (fetchError && fetchError.code !== '22P02') throw fetchError;
+
+  const access = await checkRowAccess(expense, userId, { write: true, notFound: 'Expense not found' });
+  if (access.error) return access;
+
+  if (expense.receipt_id) {
+    return { error: 'This expense already has a receipt', status: 409 };
+  }
+
+  const { data: receipt, error: receiptError } = await supabase
+    .from('fact_receipts')
+    .insert([{
+      user_id: expense.user_id,
+      wallet_id: expense.wallet_id,
+      date_id: expense.date_id,
+      category_id: expense.category_id,
+      store_id: expense.store_id,
+      amount: expense.amount,
+      currency: expense.currency,
+      image_url: scan.imageUrl,
+      image_urls: scan.imageUrls || [scan.imageUrl].filter(Boolean),
+      thumbnail_url: scan.thumbnailUrl || null,
+      image_hash: scan.imageHash || null
+    }])
+    .select('receipt_id')
+    .single();
+
+  if (receiptError) throw receiptError;
+
+  // Only if no other receipt got there first
+  const { data: linked, error: linkError } = await supabase
+    .from('fact_expenses')
+    .update({ receipt_id: receipt.receipt_id })
+    .eq('expense_id', expense.expense_id)
+    .is('receipt_id', null)
+    .select(EXPENSE_SELECT);
+
+  if (linkError || linked.length === 0) {
+    await supabase.from('fact_receipts').delete().eq('receipt_id', receipt.receipt_id);
+    if (linkError) throw linkError;
+    return { error: 'This expense already has a receipt', status: 409 };
+  }
+
+  console.log('🔗 Receipt', receipt.receipt_id, 'linked to expense', expense.expense_id);
+
+  await insertReceiptItems(receipt.receipt_id, expense.expense_id, expense.user_id, scan.items || []);
+
+  return { receipt, expense: linked[0] };
+}
+
+module.exports = {
+  RECEIPT_BUCKET,
+  receiptImageUrl,
+  removeReceiptImages,
+  saveScannedReceipt,
+  linkScannedReceipt
+};
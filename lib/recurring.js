@@ -0,0 +1,236 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getOrCreateDateId } = require('./dimensions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Most dates one listOccurrences call returns; a run that hits it books the
+// rest next time
+const MAX_OCCURRENCES = 1000;
+
+// ============================================
+// HELPER: Date string <-> UTC date (avoids timezone drift)
+// ============================================
+function parseDateId(dateId) {
+  const [y, m, d] = dateId.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDateId(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addDays(dateId, days) {
+  return formatDateId(new Date(parseDateId(dateId).getTime() + days * 86400000));
+}
+
+// ============================================
+// HELPER: Date of the nth occurrence counted from start_date
+// Monthly/yearly anchors clamp to month end (Jan 31 -> Feb 28 -> Mar 31)
+// ============================================
+function occurrenceAt(template, n) {
+  const start = parseDateId(template.start_date);
+  const step = n * (template.interval_count || 1);
+
+  switch (template.frequency) {
+    case 'DAILY':
+      return formatDateId(new Date(start.getTime() + step * 86400000));
+    case 'WEEKLY':
+      return formatDateId(new Date(start.getTime() + step * 7 * 86400000));
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const months = template.frequency === 'MONTHLY' ? step : step * 12;
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + months;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const day = Math.min(start.getUTCDate(), lastDay);
+      return formatDateId(new Date(Date.UTC(year, month, day)));
+    }
+    default:
+      throw new Error(`Unknown frequency: ${template.frequency}`);
+  }
+}
+
+// ============================================
+// HELPER: Index of the first occurrence on or after `from`
+// ============================================
+function firstOccurrenceIndex(template, from) {
+  if (from <= template.start_date) return 0;
+
+  const start = parseDateId(template.start_date);
+  const target = parseDateId(from);
+  const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12
+    + target.getUTCMonth() - start.getUTCMonth();
+
+  const periods = {
+    DAILY: (target - start) / 86400000,
+    WEEKLY: (target - start) / (7 * 86400000),
+    MONTHLY: months,
+    YEARLY: months / 12
+  }[template.frequency];
+
+  if (periods === undefined) throw new Error(`Unknown frequency: ${template.frequency}`);
+
+  // Start one period early (month-end clamping) and step forward
+  let n = Math.max(0, Math.floor(periods / (template.interval_count || 1)) - 1);
+  while (occurrenceAt(template, n) < from) n++;
+  return n;
+}
+
+// ============================================
+// List occurrence dates of a template within [from, to] (inclusive), at
+// most MAX_OCCURRENCES of them
+// Skip dates and the template end date are honoured
+// ============================================
+function listOccurrences(template, from, to) {
+  const skipDates = new Set(template.skip_dates || []);
+  const dates = [];
+
+  for (let n = firstOccurrenceIndex(template, from); dates.length < MAX_OCCURRENCES; n++) {
+    const date = occurrenceAt(template, n);
+    if (date > to) break;
+    if (template.end_date && date > template.end_date) break;
+    if (date < from || skipDates.has(date)) continue;
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+// ============================================
+// Create fact_expenses rows for every due occurrence of one template
+// Idempotent: an occurrence is identified by (recurring_id, date_id), so
+// re-running never books the same date twice
+// ============================================
+async function materializeTemplate(template, until = today()) {
+  const created = [];
+  const skipped = [];
+
+  if (template.is_paused) {
+    return { recurring_id: template.recurring_id, created, skipped };
+  }
+
+  // Only look past the last run; paused stretches are never backfilled
+  const from = template.last_generated_date
+    ? addDays(template.last_generated_date, 1)
+    : template.start_date;
+  const dueDates = listOccurrences(template, from, until);
+
+  if (dueDates.length > 0) {
+    const { data: existing, error: existingError } = await supabase
+      .from('fact_expenses')
+      .select('date_id')
+      .eq('recurring_id', template.recurring_id)
+      .in('date_id', dueDates);
+
+    if (existingError) throw existingError;
+
+    const booked = new Set(existing.map(exp => exp.date_id));
+
+    for (const date of dueDates) {
+      if (booked.has(date)) {
+        skipped.push(date);
+        continue;
+      }
+
+      const dateId = await getOrCreateDateId(date);
+      if (!dateId) {
+        throw new Error(`Failed to create date dimension for ${date}`);
+      }
+
+      const { data: expense, error } = await supabase
+        .from('fact_expenses')
+        .insert([{
+          user_id: template.user_id,
+          amount: parseFloat(template.amount),
+          category_id: template.category_id,
+          date_id: dateId,
+          description: template.description || null,
+          payment_method: template.payment_method || null,
+          tags: template.tags || null,
+          currency: template.currency || null,
+          recurring_id: template.recurring_id
+        }])
+        .select('expense_id, date_id')
+        .single();
+
+      // 23505 = unique (recurring_id, date_id) violation: a concurrent run won
+      if (error && error.code === '23505') {
+        skipped.push(date);
+        continue;
+      }
+      if (error) throw error;
+
+      created.push(expense);
+    }
+  }
+
+  // A capped run only counts as done up to the last date it booked
+  const through = dueDates.length === MAX_OCCURRENCES ? dueDates[dueDates.length - 1] : until;
+
+  if (!template.last_generated_date || through > template.last_generated_date) {
+    const { error: updateError } = await supabase
+      .from('fact_recurring_expenses')
+      .update({ last_generated_date: through })
+      .eq('recurring_id', template.recurring_id);
+
+    if (updateError) throw updateError;
+  }
+
+  return { recurring_id: template.recurring_id, created, skipped };
+}
+
+// ============================================
+// Materialize all active templates (optionally for one user)
+// ============================================
+async function materializeDueExpenses({ userId, until = today() } = {}) {
+  let query = supabase
+    .from('fact_recurring_expenses')
+    .select('*')
+    .eq('is_paused', false)
+    .lte('start_date', until);
+
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data: templates, error } = await query;
+  if (error) throw error;
+
+  const results = [];
+  for (const template of templates) {
+    if (template.end_date && template.last_generated_date && template.last_generated_date >= template.end_date) {
+      continue;
+    }
+
+    // One broken template must not stop the run for everyone else
+    try {
+      results.push(await materializeTemplate(template, until));
+    } catch (error) {
+      console.error('❌ Recurring template failed:', template.recurring_id, error);
+      results.push({ recurring_id: template.recurring_id, created: [], skipped: [], error: error.message });
+    }
+  }
+
+  const createdCount = results.reduce((sum, r) => sum + r.created.length, 0);
+  const failedCount = results.filter(r => r.error).length;
+  console.log(`✅ Recurring run: ${createdCount} expenses created from ${results.length} templates, ${failedCount} failed`);
+
+  return { until, results, createdCount, failedCount };
+}
+
+module.exports = {
+  FREQUENCIES,
+  today,
+  addDays,
+  occurrenceAt,
+  listOccurrences,
+  materializeTemplate,
+  materializeDueExpenses
+};
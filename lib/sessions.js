@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { verificationDeadline } = require('./authTokens');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_user_sessions: session_id, user_id, refresh_token_hash, previous_token_hash,
+// device_name, user_agent, ip_address, created_at, last_used_at, expires_at,
+// revoked_at, revoked_reason
+// One row per signed-in device. Access tokens carry the session id (`sid`);
+// refresh tokens are "<session_id>.<secret>" and only their hash is stored.
+//
+// dim_user.role: 'user' (default) or 'admin', carried in access tokens as `role`
+// dim_user.is_active: false for deactivated accounts, refused everywhere
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How long the middleware trusts a session lookup before checking again
+const SESSION_CACHE_MS = 30 * 1000;
+const sessionCache = new Map();
+const userCache = new Map();
+
+const SESSION_SELECT = 'session_id, user_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// ============================================
+// HELPER: Access token + a fresh refresh token for a session
+// Unverified accounts carry `ev: false` and their verification deadline
+// (`vby`, ms) so the middleware can apply the unverified-account policy
+// ============================================
+function issueTokens(session, user) {
+  const refreshToken = `${session.session_id}.${crypto.randomBytes(32).toString('base64url')}`;
+  const claims = { userId: session.user_id, email: user.email, sid: session.session_id, role: user.role || 'user' };
+  if (user.emailVerified === false) {
+    claims.ev = false;
+    claims.vby = verificationDeadline(user.createdAt);
+  }
+
+  const token = jwt.sign(claims, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+  return {
+    token,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresIn: JWT_EXPIRES_IN
+  };
+}
+
+// ============================================
+// Start a session for a user that just proved who they are
+// user: { userId, email, emailVerified?, createdAt?, role? }
+// Returns { token, refreshToken, expiresIn, sessionId }
+// ============================================
+async function createSession(user, req) {
+  const session = { session_id: crypto.randomUUID(), user_id: user.userId };
+  const { refreshTokenHash, ...tokens } = issueTokens(session, user);
+
+  const { error } = await supabase
+    .from('fact_user_sessions')
+    .insert([{
+      ...session,
+      refresh_token_hash: refreshTokenHash,
+      device_name: (req.body && req.body.deviceName) || null,
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null,
+      expires_at: refreshExpiry()
+    }]);
+
+  if (error) throw error;
+
+  return { ...tokens, sessionId: session.session_id };
+}
+
+// ============================================
+// Exchange a refresh token for a new pair (rotation)
+// Presenting the previous, already-rotated token means it was copied:
+// the whole session is revoked. Returns { error, status } on failure.
+// ============================================
+async function rotateSession(refreshToken) {
+  const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+  if (!sessionId) return { error: 'Invalid refresh token', status: 401 };
+
+  const { data: session } = await supabase
+    .from('fact_user_sessions')
+    .select('session_id, user_id, refresh_token_hash, previous_token_hash, expires_at, revoked_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (!session) return { error: 'Invalid refresh token', status: 401 };
+  if (session.revoked_at) return { error: 'Session has been revoked', status: 401 };
+  if (new Date(session.expires_at) < new Date()) return { error: 'Session expired', status: 401 };
+
+  const presented = hashToken(refreshToken);
+
+  if (presented === session.previous_token_hash) {
+    await revokeSession(session.session_id, 'refresh_token_reuse');
+    console.warn('⚠️ Refresh token reuse detected, session revoked:', session.session_id);
+    return { error: 'Refresh token reuse detected, session revoked', status: 401 };
+  }
+  if (presented !== session.refresh_token_hash) {
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+
+  const { data: user } = await supabase
+    .from('dim_user')
+    .select('email, is_active, email_verified, created_at, role')
+    .eq('user_id', session.user_id)
+    .single();
+
+  if (!user || user.is_active === false) {
+    await revokeSession(session.session_id, 'user_inactive');
+    return { error: 'Account is not active', status: 401 };
+  }
+
+  const { refreshTokenHash, ...tokens } = issueTokens(session, {
+    email: user.email,
+    emailVerified: user.email_verified,
+    createdAt: user.created_at,
+    role: user.role
+  });
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { data: rotated, error } = await supabase
+    .from('fact_user_sessions')
+    .update({
+      refresh_token_hash: refreshTokenHash,
+      previous_token_hash: session.refresh_token_hash,
+      last_used_at: new Date().toISOString(),
+      expires_at: refreshExpiry()
+    })
+    .eq('session_id', session.session_id)
+    .eq('refresh_token_hash', session.refresh_token_hash)
+    .select('session_id');
+
+  if (error) throw error;
+  if (rotated.length === 0) return { error: 'Refresh token already used', status: 401 };
+
+  return { ...tokens, sessionId: session.session_id };
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  sessionCache.delete(sessionId);
+
+  const { error } = await supabase
+    .from('fact_user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// ============================================
+// Revoke every session of a user, optionally keeping one (the caller's)
+// ============================================
+async function revokeUserSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+  let query = supabase
+    .from('fact_user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) query = query.neq('session_id', exceptSessionId);
+
+  const { data: revoked, error } = await query.select('session_id');
+
+  if (error) throw error;
+  revoked.forEach(s => sessionCache.delete(s.session_id));
+  return revoked.length;
+}
+
+async function listSessions(userId) {
+  const { data: sessions, error } = await supabase
+    .from('fact_user_sessions')
+    .select(SESSION_SELECT)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false, nullsFirst: false });
+
+  if (error) throw error;
+  return sessions;
+}
+
+// ============================================
+// Used by middleware/auth.js: is this session still usable?
+// ============================================
+async function isSessionActive(sessionId) {
+  const cached = sessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_MS) return cached.active;
+
+  const { data: session, error } = await supabase
+    .from('fact_user_sessions')
+    .select('revoked_at, expires_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const active = !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+  if (sessionCache.size > 10000) sessionCache.clear();
+  sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+  return active;
+}
+
+// ============================================
+// Used by middleware/auth.js: is the account still active?
+// Cached like sessions; forgetUser() drops the cached answer
+// ============================================
+async function isUserActive(userId) {
+  const cached = userCache.get(userId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_MS) return cached.active;
+
+  const { data: user, error } = await supabase
+    .from('dim_user')
+    .select('is_active')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const active = !!user && user.is_active !== false;
+  if (userCache.size > 10000) userCache.clear();
+  userCache.set(userId, { active, checkedAt: Date.now() });
+  return active;
+}
+
+const forgetUser = (userId) => userCache.delete(userId);
+
+module.exports = {
+  JWT_EXPIRES_IN,
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  isSessionActive,
+  isUserActive,
+  forgetUser
+};
@@ -0,0 +1,363 @@
+// ============================================
+// Bank / e-wallet statement parsers (CSV, OFX, QIF)
+// Every parser returns rows shaped like:
+// { date: 'YYYY-MM-DD', amount: <positive number>, description, category, reference, line }
+// Only outflows are returned as expenses; inflows are counted in `ignored`.
+// ============================================
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// ============================================
+// HELPER: Normalize a date string into YYYY-MM-DD
+// `format` disambiguates 01/02/2026 (MM/DD vs DD/MM); defaults to MM/DD
+// ============================================
+function normalizeDate(value, format = 'MM/DD/YYYY') {
+  if (!value) return null;
+  const str = String(value).trim();
+  let y, m, d;
+
+  let match;
+  if ((match = /^(\d{4})(\d{2})(\d{2})/.exec(str))) {
+    // OFX: 20260115 or 20260115120000[-8:PST]
+    [, y, m, d] = match;
+  } else if ((match = /^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})/.exec(str))) {
+    [, y, m, d] = match;
+  } else if ((match = /^(\d{1,2})[-\/.](\d{1,2})[-\/.'](\s?\d{2,4})/.exec(str))) {
+    // QIF uses 1/15'26 for years after 2000
+    const [, a, b, year] = match;
+    [m, d] = format === 'DD/MM/YYYY' ? [b, a] : [a, b];
+    y = year.trim();
+  } else if ((match = /^(\d{1,2})[\s-]([A-Za-z]{3})[a-z]*[\s-,]+(\d{2,4})/.exec(str))) {
+    [, d, m, y] = match;
+    m = MONTHS[m.toLowerCase()];
+  } else if ((match = /^([A-Za-z]{3})[a-z]*\s+(\d{1,2}),?\s+(\d{2,4})/.exec(str))) {
+    [, m, d, y] = match;
+    m = MONTHS[m.toLowerCase()];
+  } else {
+    return null;
+  }
+
+  y = parseInt(y);
+  m = parseInt(m);
+  d = parseInt(d);
+  if (y < 100) y += 2000;
+
+  if (!m || m < 1 || m > 12 || d < 1 || d > 31) return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null;
+
+  return date.toISOString().split('T')[0];
+}
+
+// ============================================
+// HELPER: Parse an amount like "₱1,234.50", "(99.00)" or "-45"
+// ============================================
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  let str = String(value).trim();
+  if (!str) return null;
+
+  const negative = /^\(.*\)$/.test(str) || /^-/.test(str) || /-$/.test(str) || /\bDR\b/i.test(str);
+  str = str.replace(/[^\d.,]/g, '');
+
+  // 1.234,56 (European) -> 1234.56
+  if (/^\d+(\.\d{3})*,\d{2}$/.test(str)) {
+    str = str.replace(/\./g, '').replace(',', '.');
+  } else {
+    str = str.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(str);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+// ============================================
+// CSV
+// ============================================
+function parseCSVLines(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Sniff the delimiter from the first line
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+
+  return rows;
+}
+
+// Header names we recognise when the client sends no mapping
+const HEADER_GUESSES = {
+  date: ['date', 'transaction date', 'posting date', 'posted date', 'trans date', 'value date'],
+  description: ['description', 'details', 'particulars', 'merchant', 'payee', 'narrative', 'memo', 'transaction'],
+  amount: ['amount', 'transaction amount', 'amt'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+  category: ['category'],
+  reference: ['reference', 'reference no', 'reference no.', 'ref', 'ref no', 'transaction id']
+};
+
+function guessMapping(headers) {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+
+  for (const [field, candidates] of Object.entries(HEADER_GUESSES)) {
+    const index = normalized.findIndex(h => candidates.includes(h));
+    if (index !== -1) mapping[field] = headers[index];
+  }
+
+  return mapping;
+}
+
+/**
+ * mapping: { date, description, amount | debit/credit, category?, reference?,
+ *            dateFormat?, expenseSign?: 'negative' | 'positive' }
+ * Column references may be header names or zero-based indexes.
+ */
+function parseCSV(text, mapping = {}) {
+  const lines = parseCSVLines(text);
+  if (lines.length === 0) {
+    return { rows: [], ignored: 0, errors: [], mapping };
+  }
+
+  const hasHeader = mapping.hasHeader !== false;
+  const headers = hasHeader ? lines[0].map(h => h.trim()) : lines[0].map((_, i) => String(i));
+  const effective = { ...(hasHeader ? guessMapping(headers) : {}), ...mapping };
+
+  const columnIndex = (ref) => {
+    if (ref === undefined || ref === null || ref === '') return -1;
+    if (typeof ref === 'number' || /^\d+$/.test(ref)) return parseInt(ref);
+    return headers.findIndex(h => h.toLowerCase() === String(ref).trim().toLowerCase());
+  };
+
+  const cols = {
+    date: columnIndex(effective.date),
+    description: columnIndex(effective.description),
+    amount: columnIndex(effective.amount),
+    debit: columnIndex(effective.debit),
+    credit: columnIndex(effective.credit),
+    category: columnIndex(effective.category),
+    reference: columnIndex(effective.reference)
+  };
+
+  if (cols.date === -1 || (cols.amount === -1 && cols.debit === -1)) {
+    const error = new Error('Could not find date and amount columns. Provide a column mapping.');
+    error.status = 400;
+    error.headers = headers;
+    throw error;
+  }
+
+  const expenseSign = effective.expenseSign === 'positive' ? 1 : -1;
+  const rows = [];
+  const errors = [];
+  let ignored = 0;
+
+  lines.slice(hasHeader ? 1 : 0).forEach((fields, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const get = (index) => (index === -1 ? undefined : (fields[index] || '').trim());
+
+    const date = normalizeDate(get(cols.date), effective.dateFormat);
+    if (!date) {
+      errors.push({ line, error: 'Invalid date', value: get(cols.date) });
+      return;
+    }
+
+    let amount;
+    if (cols.debit !== -1) {
+      const debit = parseAmount(get(cols.debit));
+      if (!debit) {
+        ignored++;
+        return;
+      }
+      amount = Math.abs(debit);
+    } else {
+      const value = parseAmount(get(cols.amount));
+      if (value === null) {
+        errors.push({ line, error: 'Invalid amount', value: get(cols.amount) });
+        return;
+      }
+      if (value === 0 || Math.sign(value) !== expenseSign) {
+        ignored++;
+        return;
+      }
+      amount = Math.abs(value);
+    }
+
+    rows.push({
+      date,
+      amount,
+      description: get(cols.description) || null,
+      category: get(cols.category) || null,
+      reference: get(cols.reference) || null,
+      line
+    });
+  });
+
+  return { rows, ignored, errors, mapping: effective, headers };
+}
+
+// ============================================
+// OFX (SGML 1.x and XML 2.x both use <STMTTRN> blocks)
+// ============================================
+function parseOFX(text) {
+  const rows = [];
+  const errors = [];
+  let ignored = 0;
+
+  const tag = (block, name) => {
+    const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim() : null;
+  };
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  blocks.forEach((block, i) => {
+    const date = normalizeDate(tag(block, 'DTPOSTED'));
+    const value = parseAmount(tag(block, 'TRNAMT'));
+
+    if (!date || value === null) {
+      errors.push({ line: i + 1, error: 'Invalid transaction', value: block.slice(0, 80) });
+      return;
+    }
+    if (value >= 0) {
+      ignored++;
+      return;
+    }
+
+    const name = tag(block, 'NAME');
+    const memo = tag(block, 'MEMO');
+
+    rows.push({
+      date,
+      amount: Math.abs(value),
+      description: [name, memo].filter(Boolean).join(' - ') || null,
+      category: null,
+      reference: tag(block, 'FITID'),
+      line: i + 1
+    });
+  });
+
+  return { rows, ignored, errors };
+}
+
+// ============================================
+// QIF (records separated by "^")
+// ============================================
+function parseQIF(text, { dateFormat } = {}) {
+  const rows = [];
+  const errors = [];
+  let ignored = 0;
+
+  const records = text.split(/^\^\s*$/m);
+
+  records.forEach((record, i) => {
+    const fields = {};
+    for (const rawLine of record.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('!')) continue;
+      const code = line[0];
+      if (fields[code] === undefined) fields[code] = line.slice(1).trim();
+    }
+
+    if (!fields.D && !fields.T && !fields.U) return;
+
+    const date = normalizeDate(fields.D, dateFormat);
+    const value = parseAmount(fields.T !== undefined ? fields.T : fields.U);
+
+    if (!date || value === null) {
+      errors.push({ line: i + 1, error: 'Invalid transaction', value: record.trim().slice(0, 80) });
+      return;
+    }
+    if (value >= 0) {
+      ignored++;
+      return;
+    }
+
+    rows.push({
+      date,
+      amount: Math.abs(value),
+      description: [fields.P, fields.M].filter(Boolean).join(' - ') || null,
+      category: fields.L && !fields.L.startsWith('[') ? fields.L.split(':')[0] : null,
+      reference: fields.N || null,
+      line: i + 1
+    });
+  });
+
+  return { rows, ignored, errors };
+}
+
+// ============================================
+// Detect format from the file name or content
+// ============================================
+function detectFormat(fileName = '', text = '') {
+  const ext = fileName.split('.').pop().toLowerCase();
+  if (['csv', 'ofx', 'qif'].includes(ext)) return ext;
+  if (ext === 'qfx') return 'ofx';
+  if (/OFXHEADER|<OFX>/i.test(text.slice(0, 1000))) return 'ofx';
+  if (/^!Type:/im.test(text.slice(0, 200))) return 'qif';
+  return 'csv';
+}
+
+function parseStatement(text, format, mapping = {}) {
+  switch (format) {
+    case 'ofx':
+      return parseOFX(text);
+    case 'qif':
+      return parseQIF(text, mapping);
+    case 'csv':
+      return parseCSV(text, mapping);
+    default: {
+      const error = new Error(`Unsupported format: ${format}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DATE_FORMATS,
+  normalizeDate,
+  parseAmount,
+  parseCSV,
+  parseOFX,
+  parseQIF,
+  detectFormat,
+  parseStatement
+};
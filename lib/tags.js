@@ -0,0 +1,65 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_expenses.tags / fact_recurring_expenses.tags: text[] of normalized tags
+// dim_tag: tag_id, user_id, tag_name, last_used_at (unique user_id, tag_name)
+// dim_tag backs autocomplete; the arrays on the fact rows are the source of truth
+
+const MAX_TAG_LENGTH = 40;
+
+// ============================================
+// HELPER: "#Boracay 2026" -> "boracay-2026"
+// ============================================
+function normalizeTag(tag) {
+  if (tag === null || tag === undefined) return null;
+  const normalized = String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9\-_.]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+  return normalized || null;
+}
+
+// ============================================
+// HELPER: Accepts an array or a comma separated string; returns a
+// de-duplicated array, or null when nothing is left
+// ============================================
+function normalizeTags(tags) {
+  if (tags === null || tags === undefined || tags === '') return null;
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  return normalized.length > 0 ? normalized : null;
+}
+
+// ============================================
+// HELPER: Remember tags for autocomplete (best effort, never throws)
+// ============================================
+async function recordTags(userId, tags) {
+  const names = [...new Set((tags || []).filter(Boolean))];
+  if (names.length === 0) return;
+
+  const { error } = await supabase
+    .from('dim_tag')
+    .upsert(
+      names.map(tag_name => ({ user_id: userId, tag_name, last_used_at: new Date().toISOString() })),
+      { onConflict: 'user_id,tag_name' }
+    );
+
+  if (error) console.error('Tag error:', error);
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  recordTags
+};
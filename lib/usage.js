@@ -0,0 +1,41 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// fact_usage_events: event_id, user_id, event_type, created_at
+// Metered actions (e.g. 'ocr_scan') for the admin usage view.
+
+const startOfMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+};
+
+// Never fails the request being metered
+async function recordUsage(userId, eventType) {
+  const { error } = await supabase
+    .from('fact_usage_events')
+    .insert([{ user_id: userId, event_type: eventType }]);
+
+  if (error) console.error('⚠️ Failed to record usage:', eventType, error.message);
+}
+
+async function countUsage(userId, eventType, since = startOfMonth()) {
+  const { count, error } = await supabase
+    .from('fact_usage_events')
+    .select('event_id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('event_type', eventType)
+    .gte('created_at', since);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+module.exports = {
+  startOfMonth,
+  recordUsage,
+  countUsage
+};
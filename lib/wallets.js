@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { sendMail } = require('./mailer');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// dim_wallet: wallet_id, name, currency, created_by, created_at, updated_at
+// fact_wallet_members: wallet_id, user_id, role ('owner' | 'editor' | 'viewer'), joined_at
+//   (unique wallet_id + user_id)
+// fact_wallet_invites: invite_id, wallet_id, email, role, token_hash, invited_by,
+//   created_at, expires_at, accepted_at
+// fact_expenses.wallet_id / fact_receipts.wallet_id: null for personal rows.
+// In a wallet, user_id on an expense is the member who paid.
+
+const WALLET_ROLES = ['owner', 'editor', 'viewer'];
+const INVITE_TTL_DAYS = 7;
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// owner > editor > viewer
+const roleAtLeast = (role, minRole) => WALLET_ROLES.indexOf(role) !== -1
+  && WALLET_ROLES.indexOf(role) <= WALLET_ROLES.indexOf(minRole);
+
+async function getWalletRole(walletId, userId) {
+  const { data: member, error } = await supabase
+    .from('fact_wallet_members')
+    .select('role')
+    .eq('wallet_id', walletId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // Not a uuid: no such wallet
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return member ? member.role : null;
+}
+
+// ============================================
+// Is `userId` a member with at least `minRole`?
+// Returns { role } or { error, status } (404 for non-members, so wallet ids
+// don't leak, 403 when the role is too low)
+// ============================================
+async function checkWalletAccess(walletId, userId, minRole = 'viewer') {
+  const role = await getWalletRole(walletId, userId);
+  if (!role) return { error: 'Wallet not found', status: 404 };
+  if (!roleAtLeast(role, minRole)) {
+    return { error: `This needs the ${minRole} role in the wallet (you are ${role})`, status: 403 };
+  }
+  return { role };
+}
+
+// ============================================
+// Access to a row with user_id + wallet_id columns (expenses, receipts)
+// Personal rows belong to their user; wallet rows to the wallet's members
+// (viewers read, editors and owners write)
+// ============================================
+async function checkRowAccess(row, userId, { write = false, notFound = 'Not found' } = {}) {
+  if (!row) return { error: notFound, status: 404 };
+
+  if (!row.wallet_id) {
+    return String(row.user_id) === String(userId)
+      ? { role: 'owner' }
+      : { error: notFound, status: 404 };
+  }
+
+  const access = await checkWalletAccess(row.wallet_id, userId, write ? 'editor' : 'viewer');
+  if (access.status === 404) return { error: notFound, status: 404 };
+  return access;
+}
+
+// ============================================
+// Which rows a list or analytics query covers, from ?wallet=
+//   (omitted)  - everything the user paid for, personal or in a wallet
+//   personal   - the user's rows outside any wallet
+//   <walletId> - every member's rows in that wallet (viewer or above)
+// Returns { apply(query, column prefix?), wallet, currency } or { error, status }
+// ============================================
+async function resolveWalletScope(wallet, userId) {
+  if (!wallet) {
+    return { wallet: null, currency: null, apply: (query, prefix = '') => query.eq(`${prefix}user_id`, userId) };
+  }
+
+  if (wallet === 'personal') {
+    return {
+      wallet: null,
+      currency: null,
+      apply: (query, prefix = '') => query.eq(`${prefix}user_id`, userId).is(`${prefix}wallet_id`, null)
+    };
+  }
+
+  const access = await checkWalletAccess(wallet, userId);
+  if (access.error) return access;
+
+  const { data: walletRow, error } = await supabase
+    .from('dim_wallet')
+    .select('wallet_id, name, currency')
+    .eq('wallet_id', wallet)
+    .single();
+
+  if (error) throw error;
+
+  return {
+    wallet: { ...walletRow, role: access.role },
+    currency: walletRow.currency || null,
+    apply: (query, prefix = '') => query.eq(`${prefix}wallet_id`, wallet)
+  };
+}
+
+// ============================================
+// Where a new or moved expense goes: { walletId, paidBy } from the request
+// Returns { wallet_id, user_id, currency } or { error, status }
+// paidBy must be a wallet member and defaults to the caller
+// ============================================
+async function resolveExpenseTarget(userId, { walletId, paidBy } = {}) {
+  if (!walletId) {
+    if (paidBy && String(paidBy) !== String(userId)) {
+      return { error: 'paidBy is only allowed for wallet expenses', status: 400 };
+    }
+    return { wallet_id: null, user_id: userId, currency: null };
+  }
+
+  const access = await checkWalletAccess(walletId, userId, 'editor');
+  if (access.error) return access;
+
+  if (paidBy && String(paidBy) !== String(userId) && !(await getWalletRole(walletId, paidBy))) {
+    return { error: 'paidBy must be a member of the wallet', status: 400 };
+  }
+
+  const { data: wallet } = await supabase
+    .from('dim_wallet')
+    .select('currency')
+    .eq('wallet_id', walletId)
+    .single();
+
+  return { wallet_id: walletId, user_id: paidBy || userId, currency: wallet?.currency || null };
+}
+
+// user_id -> full_name, for "who paid" attribution
+async function getMemberNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return {};
+
+  const { data: users, error } = await supabase
+    .from('dim_user')
+    .select('user_id, full_name, email')
+    .in('user_id', ids);
+
+  if (error) throw error;
+  return Object.fromEntries(users.map(u => [String(u.user_id), u.full_name || u.email]));
+}
+
+async function listMembers(walletId) {
+  const { data: members, error } = await supabase
+    .from('fact_wallet_members')
+    .select('user_id, role, joined_at')
+    .eq('wallet_id', walletId)
+    .order('joined_at', { ascending: true });
+
+  if (error) throw error;
+
+  const { data: users, error: usersError } = await supabase
+    .from('dim_user')
+    .select('user_id, full_name, email')
+    .in('user_id', members.map(m => m.user_id));
+
+  if (usersError) throw usersError;
+
+  const usersById = Object.fromEntries(users.map(u => [String(u.user_id), u]));
+  return members.map(m => ({
+    userId: m.user_id,
+    name: usersById[String(m.user_id)]?.full_name || null,
+    email: usersById[String(m.user_id)]?.email || null,
+    role: m.role,
+    joinedAt: m.joined_at
+  }));
+}
+
+// ============================================
+// Invite someone by email; they accept with the emailed token while signed
+// in with that address. A newer invite for the same email replaces the old one.
+// ============================================
+async function createInvite(wallet, { email, role, invitedBy, inviterName }) {
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const { error: replaceError } = await supabase
+    .from('fact_wallet_invites')
+    .delete()
+    .eq('wallet_id', wallet.wallet_id)
+    .eq('email', normalizedEmail)
+    .is('accepted_at', null);
+
+  if (replaceError) throw replaceError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data: invite, error } = await supabase
+    .from('fact_wallet_invites')
+    .insert([{
+      wallet_id: wallet.wallet_id,
+      email: normalizedEmail,
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy,
+      expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }])
+    .select('invite_id, wallet_id, email, role, created_at, expires_at')
+    .single();
+
+  if (error) throw error;
+
+  const link = `${APP_URL}/wallets/accept?token=${token}`;
+  await sendMail({
+    to: normalizedEmail,
+    subject: `${inviterName || 'Someone'} invited you to "${wallet.name}" on Xpnse`,
+    text: `Hi,\n\n${inviterName || 'Someone'} invited you to the shared wallet "${wallet.name}" as ${role}.\n\n`
+      + `Open this link to join:\n${link}\n\nThe invitation expires in ${INVITE_TTL_DAYS} days.`
+  });
+
+  return invite;
+}
+
+// ============================================
+// Accept an invite for the signed-in user; returns { walletId, role } or { error, status }
+// ============================================
+async function acceptInvite(token, user) {
+  if (!token || typeof token !== 'string') return { error: 'Invalid or expired invitation', status: 400 };
+
+  const { data: invite, error } = await supabase
+    .from('fact_wallet_invites')
+    .select('invite_id, wallet_id, email, role, expires_at, accepted_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!invite || invite.accepted_at || new Date(invite.expires_at) < new Date()) {
+    return { error: 'Invalid or expired invitation', status: 400 };
+  }
+  if (invite.email !== String(user.email).trim().toLowerCase()) {
+    return { error: 'This invitation was sent to a different email address', status: 403 };
+  }
+
+  // Claim it first so the same link can't be used twice
+  const { data: claimed, error: claimError } = await supabase
+    .from('fact_wallet_invites')
+    .update({ accepted_at: new Date().toISOString() })
+    .eq('invite_id', invite.invite_id)
+    .is('accepted_at', null)
+    .select('invite_id');
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return { error: 'Invalid or expired invitation', status: 400 };
+
+  const existingRole = await getWalletRole(invite.wallet_id, user.userId);
+  if (existingRole) {
+    return { walletId: invite.wallet_id, role: existingRole, alreadyMember: true };
+  }
+
+  const { error: memberError } = await supabase
+    .from('fact_wallet_members')
+    .insert([{ wallet_id: invite.wallet_id, user_id: user.userId, role: invite.role }]);
+
+  if (memberError) throw memberError;
+
+  return { walletId: invite.wallet_id, role: invite.role };
+}
+
+// ============================================
+// Delete a wallet; its expenses and receipts become personal rows of
+// whoever paid for them
+// ============================================
+async function deleteWallet(walletId) {
+  for (const table of ['fact_expenses', 'fact_receipts']) {
+    const { error } = await supabase
+      .from(table)
+      .update({ wallet_id: null })
+      .eq('wallet_id', walletId);
+
+    if (error) throw error;
+  }
+
+  for (const table of ['fact_wallet_invites', 'fact_wallet_members', 'dim_wallet']) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('wallet_id', walletId);
+
+    if (error) throw error;
+  }
+}
+
+// ============================================
+// Account deletion: hand owned wallets to the longest-standing editor
+// (or member), delete wallets nobody else is in, then drop the memberships
+// ============================================
+async function removeUserFromWallets(userId) {
+  const { data: memberships, error } = await supabase
+    .from('fact_wallet_members')
+    .select('wallet_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  for (const { wallet_id: walletId, role } of memberships) {
+    if (role !== 'owner') continue;
+
+    const { data: others, error: othersError } = await supabase
+      .from('fact_wallet_members')
+      .select('user_id, role, joined_at')
+      .eq('wallet_id', walletId)
+      .neq('user_id', userId)
+      .order('joined_at', { ascending: true });
+
+    if (othersError) throw othersError;
+
+    if (others.length === 0) {
+      await deleteWallet(walletId);
+    } else if (!others.some(m => m.role === 'owner')) {
+      const successor = others.find(m => m.role === 'editor') || others[0];
+      const { error: promoteError } = await supabase
+        .from('fact_wallet_members')
+        .update({ role: 'owner' })
+        .eq('wallet_id', walletId)
+        .eq('user_id', successor.user_id);
+
+      if (promoteError) throw promoteError;
+    }
+  }
+
+  const { error: leaveError } = await supabase
+    .from('fact_wallet_members')
+    .delete()
+    .eq('user_id', userId);
+
+  if (leaveError) throw leaveError;
+}
+
+module.exports = {
+  WALLET_ROLES,
+  getWalletRole,
+  checkWalletAccess,
+  checkRowAccess,
+  resolveWalletScope,
+  resolveExpenseTarget,
+  getMemberNames,
+  listMembers,
+  createInvite,
+  acceptInvite,
+  deleteWallet,
+  removeUserFromWallets
+};
@@ -1,6 +1,60 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive, isUserActive } = require('../lib/sessions');
+const { getVerificationRestriction } = require('../lib/authTokens');
+const { isApiToken, hasScope, resolveApiToken } = require('../lib/apiTokens');
 
-const authenticateToken = (req, res, next) => {
+function checkVerification(req, res, claims) {
+  const restriction = getVerificationRestriction(claims);
+  if (restriction === 'block' || (restriction === 'read_only' && !['GET', 'HEAD'].includes(req.method))) {
+    res.status(403).json({ error: 'Please verify your email address', code: 'email_unverified' });
+    return false;
+  }
+  return true;
+}
+
+// ============================================
+// Personal access tokens ("xpn_...") only reach routers that declare a scope
+// with authenticateToken.scope(), and only with that scope granted
+// ============================================
+async function authenticateApiToken(req, res, next, token) {
+  if (!req.requiredScope) {
+    return res.status(403).json({ error: 'API tokens cannot be used here', code: 'insufficient_scope' });
+  }
+
+  let identity;
+  try {
+    identity = await resolveApiToken(token);
+  } catch (error) {
+    console.error('API token check error:', error);
+    return res.status(500).json({ error: 'Failed to verify token' });
+  }
+
+  if (!identity) {
+    return res.status(401).json({ error: 'Invalid or revoked API token', code: 'invalid_api_token' });
+  }
+
+  if (!hasScope(identity.scopes, req.requiredScope)) {
+    return res.status(403).json({
+      error: 'API token is missing the required scope',
+      code: 'insufficient_scope',
+      requiredScope: req.requiredScope
+    });
+  }
+
+  if (!checkVerification(req, res, identity)) return;
+
+  req.user = {
+    userId: identity.userId,
+    email: identity.email,
+    tokenId: identity.tokenId,
+    scopes: identity.scopes
+  };
+  next();
+}
+
+// `allowUnverified` lets routes like resend-verification and logout through
+// for accounts the unverified-account policy would otherwise limit
+const authenticate = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,13 +62,63 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  if (isApiToken(token)) {
+    return authenticateApiToken(req, res, next, token);
+  }
+
+  let verified;
   try {
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
-    next();
+    verified = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(403).json({ error: 'Invalid token' });
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'token_expired' });
+    }
+    return res.status(403).json({ error: 'Invalid token' });
   }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are refused
+  if (!verified.sid) {
+    return res.status(401).json({ error: 'Session required, please sign in again', code: 'session_required' });
+  }
+
+  try {
+    if (!(await isSessionActive(verified.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'session_revoked' });
+    }
+    if (!(await isUserActive(verified.userId))) {
+      return res.status(403).json({ error: 'Account is deactivated', code: 'account_deactivated' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: 'Failed to verify session' });
+  }
+
+  if (!allowUnverified && !checkVerification(req, res, { emailVerified: verified.ev, verifyBy: verified.vby })) {
+    return;
+  }
+
+  req.user = verified;
+  next();
+};
+
+const authenticateToken = authenticate();
+authenticateToken.allowUnverified = authenticate({ allowUnverified: true });
+
+// Admin-only routes; mount after authenticateToken. The role comes from the
+// access token, so a role change applies from the user's next refresh.
+authenticateToken.requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Scope an API token needs for the routes behind this middleware: `read` for
+// GET/HEAD, `write` otherwise. Session tokens are not affected.
+//   router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
+authenticateToken.scope = (read, write = read) => (req, res, next) => {
+  req.requiredScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+  next();
 };
 
-module.exports = authenticateToken;
\ No newline at end of file
+module.exports = authenticateToken;
@@ -0,0 +1,201 @@
+// ============================================
+// Rate limiting and login lockout
+// Fixed-window counters per IP and/or per user, configured per route in
+// RATE_LIMITS and overridable with the RATE_LIMITS env var (JSON), e.g.
+//   RATE_LIMITS='{"ocrScan":{"user":50}}'
+// Counters live in memory by default; setStore() swaps in a shared backend
+// (Redis, a database table, ...) implementing the same async methods.
+// ============================================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const RATE_LIMITS = {
+  login: { ip: 20, windowMs: 15 * MINUTE },
+  register: { ip: 5, windowMs: HOUR },
+  google: { ip: 30, windowMs: 15 * MINUTE },
+  refresh: { ip: 60, windowMs: 15 * MINUTE },
+  passwordReset: { ip: 5, windowMs: HOUR },
+  passwordChange: { user: 5, windowMs: 15 * MINUTE },
+  // Every page scanned costs API Ninjas quota, batches included
+  ocrScan: { ip: 60, user: 30, windowMs: HOUR },
+  // Requests to /ocr/batch, on top of their pages counting against ocrScan
+  ocrBatch: { ip: 10, user: 5, windowMs: HOUR }
+};
+
+// Progressive lockout after failed logins for one account:
+// after LOCKOUT_THRESHOLD failures, lock for 1 min, doubling per further failure
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = MINUTE;
+const LOCKOUT_MAX_MS = HOUR;
+const LOCKOUT_MEMORY_MS = 24 * HOUR;
+
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) return RATE_LIMITS;
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    return Object.fromEntries(Object.keys({ ...RATE_LIMITS, ...overrides })
+      .map(name => [name, { ...RATE_LIMITS[name], ...overrides[name] }]));
+  } catch (error) {
+    console.error('⚠️ Invalid RATE_LIMITS, using defaults:', error.message);
+    return RATE_LIMITS;
+  }
+}
+
+const limits = loadLimits();
+
+// ============================================
+// In-memory store
+// increment(key, windowMs, amount = 1) -> { count, resetAt }
+// get(key) / set(key, value, ttlMs) / delete(key)
+// ============================================
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), MINUTE);
+    this.sweeper.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { value: 0, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.value += amount;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+function setStore(custom) {
+  store = custom;
+}
+
+// Resolved by Express from the trusted proxy hops (trust proxy in api/index.js)
+const clientIp = (req) => req.ip || 'unknown';
+
+function setHeaders(res, limit, remaining, resetAt) {
+  res.setHeader('RateLimit-Limit', limit);
+  res.setHeader('RateLimit-Remaining', Math.max(0, remaining));
+  res.setHeader('RateLimit-Reset', Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)));
+}
+
+// ============================================
+// Middleware for a named route budget
+// Per-user budgets need req.user, so mount after authenticateToken
+// cost(req): units the request uses (default 1), e.g. uploaded pages - mount
+// after the upload middleware then
+// ============================================
+function rateLimit(name, { cost = () => 1 } = {}) {
+  const config = limits[name];
+  if (!config) throw new Error(`Unknown rate limit: ${name}`);
+
+  return async (req, res, next) => {
+    try {
+      const amount = Math.max(1, cost(req) || 1);
+      const checks = [];
+      if (config.ip) checks.push({ key: `${name}:ip:${clientIp(req)}`, limit: config.ip });
+      if (config.user && req.user) checks.push({ key: `${name}:user:${req.user.userId}`, limit: config.user });
+
+      // Report the tightest budget in the headers
+      let tightest = null;
+      for (const check of checks) {
+        // Can never fit, whenever it is retried
+        if (amount > check.limit) {
+          return res.status(400).json({
+            error: `Too large for the rate limit of ${check.limit} per ${Math.round(config.windowMs / MINUTE)} minutes`,
+            message: 'Split it into smaller requests'
+          });
+        }
+
+        const { count, resetAt } = await store.increment(check.key, config.windowMs, amount);
+        const remaining = check.limit - count;
+
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { ...check, remaining, resetAt };
+        }
+      }
+
+      if (tightest) {
+        setHeaders(res, tightest.limit, tightest.remaining, tightest.resetAt);
+
+        if (tightest.remaining < 0) {
+          const retryAfter = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+          res.setHeader('Retry-After', retryAfter);
+          console.warn('⚠️ Rate limit hit:', tightest.key);
+          return res.status(429).json({
+            error: 'Too many requests, please try again later',
+            retryAfter
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // A broken store should not take the API down
+      console.error('Rate limit store error:', error);
+      next();
+    }
+  };
+}
+
+// ============================================
+// Login lockout (keyed by the account's email)
+// ============================================
+const lockoutKey = (email) => `lockout:${String(email).trim().toLowerCase()}`;
+
+// Milliseconds until the account may try again (0 = not locked)
+async function getLockout(email) {
+  const state = await store.get(lockoutKey(email));
+  return state && state.lockedUntil > Date.now() ? state.lockedUntil - Date.now() : 0;
+}
+
+async function recordLoginFailure(email) {
+  const state = (await store.get(lockoutKey(email))) || { failures: 0, lockedUntil: 0 };
+  state.failures += 1;
+
+  if (state.failures >= LOCKOUT_THRESHOLD) {
+    const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (state.failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    state.lockedUntil = Date.now() + duration;
+    console.warn('🔒 Login locked:', { email, failures: state.failures, seconds: duration / 1000 });
+  }
+
+  await store.set(lockoutKey(email), state, LOCKOUT_MEMORY_MS);
+  return state.lockedUntil > Date.now() ? state.lockedUntil - Date.now() : 0;
+}
+
+async function clearLoginFailures(email) {
+  await store.delete(lockoutKey(email));
+}
+
+module.exports = {
+  rateLimit,
+  setStore,
+  MemoryStore,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
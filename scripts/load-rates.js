@@ -0,0 +1,28 @@
+require('dotenv').config();
+const fs = require('fs');
+const { parseRatesFile, saveRates } = require('../lib/currency');
+
+// Loads exchange rates into dim_exchange_rate.
+// Usage: npm run rates:load -- rates.csv   (CSV: date,base,quote,rate or JSON)
+const file = process.argv[2];
+
+if (!file) {
+  console.error('Usage: npm run rates:load -- <file.csv|file.json>');
+  process.exit(1);
+}
+
+const { rates, errors } = parseRatesFile(fs.readFileSync(file, 'utf8'));
+
+if (errors.length > 0) {
+  console.warn(`⚠️ Skipped ${errors.length} invalid rows`);
+}
+
+saveRates(rates, 'file')
+  .then((saved) => {
+    console.log(`Done: ${saved} rates loaded`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Loading rates failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,16 @@
+require('dotenv').config();
+const { materializeDueExpenses } = require('../lib/recurring');
+
+// Books every due recurring expense for all users.
+// Usage: npm run recurring [-- YYYY-MM-DD]
+const until = process.argv[2];
+
+materializeDueExpenses(until ? { until } : {})
+  .then(({ createdCount }) => {
+    console.log(`Done: ${createdCount} expenses created`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Recurring job failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { revokeUserSessions, forgetUser } = require('../lib/sessions');
+const { startOfMonth, countUsage } = require('../lib/usage');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Every route here is for admins (dim_user.role = 'admin'). API tokens are
+// refused because this router declares no token scope.
+router.use(authenticateToken, authenticateToken.requireAdmin);
+
+const USER_ROLES = ['user', 'admin'];
+const USER_SELECT = 'user_id, email, full_name, auth_provider, role, is_active, email_verified, home_currency, created_at';
+
+function mapUser(user) {
+  return {
+    id: user.user_id,
+    email: user.email,
+    name: user.full_name,
+    authProvider: user.auth_provider,
+    role: user.role || 'user',
+    isActive: user.is_active !== false,
+    emailVerified: user.email_verified !== false,
+    homeCurrency: user.home_currency,
+    createdAt: user.created_at
+  };
+}
+
+async function countRows(table, userId, since = null) {
+  let query = supabase
+    .from(table)
+    .select('user_id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (since) query = query.gte('created_at', since);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// ============================================
+// HELPER: Usage figures for one user
+// ============================================
+async function getUsage(userId) {
+  const monthStart = startOfMonth();
+
+  const [
+    expenseCount,
+    expensesThisMonth,
+    receiptCount,
+    ocrScansThisMonth,
+    walletCount,
+    { data: sessions, error: sessionsError },
+    { count: apiTokenCount, error: tokensError }
+  ] = await Promise.all([
+    countRows('fact_expenses', userId),
+    countRows('fact_expenses', userId, monthStart),
+    countRows('fact_receipts', userId),
+    countUsage(userId, 'ocr_scan', monthStart),
+    countRows('fact_wallet_members', userId),
+    supabase
+      .from('fact_user_sessions')
+      .select('created_at, last_used_at, revoked_at, expires_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(100),
+    supabase
+      .from('fact_api_tokens')
+      .select('token_id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+  ]);
+
+  if (sessionsError || tokensError) throw sessionsError || tokensError;
+
+  const now = new Date();
+  const activeSessions = sessions.filter(s => !s.revoked_at && new Date(s.expires_at) > now);
+
+  return {
+    expenseCount,
+    expensesThisMonth,
+    receiptCount,
+    ocrScansThisMonth,
+    walletCount,
+    activeSessions: activeSessions.length,
+    apiTokens: apiTokenCount || 0,
+    lastSignInAt: sessions[0]?.created_at || null,
+    lastSeenAt: sessions.map(s => s.last_used_at || s.created_at).sort().pop() || null,
+    periodStart: monthStart
+  };
+}
+
+async function getUser(userId) {
+  const { data: user, error } = await supabase
+    .from('dim_user')
+    .select(USER_SELECT)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // Not a uuid: no such user
+  if (error && error.code === '22P02') return null;
+  if (error) throw error;
+  return user;
+}
+
+// ============================================
+// List / search users
+// Query: q (email or name), status=active|inactive, role=user|admin,
+// limit (max 200), offset
+// ============================================
+router.get('/users', async (req, res) => {
+  try {
+    const { q, status, role } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (status && !['active', 'inactive'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', allowed: ['active', 'inactive'] });
+    }
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: USER_ROLES });
+    }
+
+    let query = supabase
+      .from('dim_user')
+      .select(USER_SELECT, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (q && String(q).trim()) {
+      // Strip characters that have meaning inside a PostgREST or() filter
+      const term = String(q).trim().replace(/[,()*%"\\]/g, ' ').replace(/\s+/g, ' ').trim();
+      if (term) query = query.or(`email.ilike."*${term}*",full_name.ilike."*${term}*"`);
+    }
+    // Rows from before the flag was written (null) count as active
+    if (status === 'active') query = query.not('is_active', 'is', false);
+    if (status === 'inactive') query = query.eq('is_active', false);
+    if (role) query = query.eq('role', role);
+
+    const { data: users, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      users: users.map(mapUser),
+      count: users.length,
+      total: count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users', message: error.message });
+  }
+});
+
+// ============================================
+// One user with usage (expenses, receipts, OCR scans this month, ...)
+// ============================================
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const usage = await getUsage(user.user_id);
+
+    res.json({ success: true, user: mapUser(user), usage });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user', message: error.message });
+  }
+});
+
+// ============================================
+// Deactivate: sign-ins are refused and every session ends
+// Body: { reason? } (logged)
+// ============================================
+router.post('/users/:id/deactivate', async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.userId)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.is_active === false) {
+      return res.status(409).json({ error: 'User is already deactivated' });
+    }
+
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ is_active: false })
+      .eq('user_id', user.user_id);
+
+    if (error) throw error;
+
+    forgetUser(user.user_id);
+    const revoked = await revokeUserSessions(user.user_id, 'deactivated');
+
+    console.log('⛔ User deactivated:', {
+      userId: user.user_id,
+      by: req.user.userId,
+      reason: req.body.reason || null,
+      revoked
+    });
+
+    res.json({ success: true, message: 'User deactivated', user: mapUser({ ...user, is_active: false }), revokedSessions: revoked });
+  } catch (error) {
+    console.error('❌ Admin deactivate user error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user', message: error.message });
+  }
+});
+
+// ============================================
+// Reactivate: the user can sign in again (old sessions stay revoked)
+// ============================================
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.is_active !== false) {
+      return res.status(409).json({ error: 'User is already active' });
+    }
+
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ is_active: true })
+      .eq('user_id', user.user_id);
+
+    if (error) throw error;
+
+    forgetUser(user.user_id);
+
+    console.log('✅ User reactivated:', { userId: user.user_id, by: req.user.userId });
+
+    res.json({ success: true, message: 'User reactivated', user: mapUser({ ...user, is_active: true }) });
+  } catch (error) {
+    console.error('❌ Admin reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user', message: error.message });
+  }
+});
+
+// ============================================
+// Change a user's role
+// Body: { role: 'user' | 'admin' } - applies from the user's next token refresh
+// ============================================
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: USER_ROLES });
+    }
+    if (String(req.params.id) === String(req.user.userId) && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ role })
+      .eq('user_id', user.user_id);
+
+    if (error) throw error;
+
+    console.log('✅ User role changed:', { userId: user.user_id, role, by: req.user.userId });
+
+    res.json({ success: true, user: mapUser({ ...user, role }) });
+  } catch (error) {
+    console.error('❌ Admin change role error:', error);
+    res.status(500).json({ error: 'Failed to change role', message: error.message });
+  }
+});
+
+module.exports = router;
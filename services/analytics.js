@@ -2,12 +2,22 @@ const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const authenticateToken = require('../middleware/auth');
+const { summarizeByCategory } = require('../lib/analytics');
+const { createConverter, getHomeCurrency, formatMoney } = require('../lib/currency');
+const { normalizeTags } = require('../lib/tags');
+const { resolveWalletScope, listMembers } = require('../lib/wallets');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('analytics:read'));
+
+// Every report takes ?wallet=<walletId>|personal (see lib/wallets.js);
+// wallet reports cover all members and use the wallet's currency
+
 const getDateRange = (period) => {
   const now = new Date();
   let startDate, endDate;
@@ -41,14 +51,20 @@ router.get('/summary', authenticateToken, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     // ✅ FIXED: Use fact_expenses with dimension joins
-    const { data: expenses, error } = await supabase
+    const { data: expenses, error } = await scope.apply(supabase
       .from('fact_expenses')
       .select(`
         amount,
+        currency,
+        date_id,
         dim_category!fact_expenses_category_id_fkey(category_name)
-      `)
-      .eq('user_id', req.user.userId)
+      `))
       .gte('date_id', startDate || getDateRange('month').startDate)
       .lte('date_id', endDate || getDateRange('month').endDate);
 
@@ -57,7 +73,11 @@ router.get('/summary', authenticateToken, async (req, res) => {
       throw error;
     }
 
-    const totalAmount = expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
+    // Totals are reported in the user's home currency
+    const converter = await createConverter(req.user.userId, expenses, scope.currency);
+    const converted = converter.convertRows(expenses);
+
+    const totalAmount = converted.reduce((sum, exp) => sum + exp.amount, 0);
     const expenseCount = expenses.length;
     const averageAmount = expenseCount > 0 ? totalAmount / expenseCount : 0;
 
@@ -67,6 +87,7 @@ router.get('/summary', authenticateToken, async (req, res) => {
       averageAmount: parseFloat(averageAmount.toFixed(2)),
       expenseCount,
       total_expenses: expenseCount,
+      ...converter.info(),
       period: {
         startDate: startDate || getDateRange('month').startDate,
         endDate: endDate || getDateRange('month').endDate
@@ -83,14 +104,60 @@ router.get('/by-category', authenticateToken, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     // ✅ FIXED: Use fact_expenses with dimension joins
-    const { data: expenses, error } = await supabase
+    const { data: expenses, error } = await scope.apply(supabase
       .from('fact_expenses')
       .select(`
         amount,
+        currency,
+        date_id,
         dim_category!fact_expenses_category_id_fkey(category_name)
-      `)
-      .eq('user_id', req.user.userId)
+      `))
+      .gte('date_id', startDate || getDateRange('month').startDate)
+      .lte('date_id', endDate || getDateRange('month').endDate);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      throw error;
+    }
+
+    const converter = await createConverter(req.user.userId, expenses, scope.currency);
+    const { categories, totalSpent } = summarizeByCategory(converter.convertRows(expenses));
+
+    res.json({ 
+      success: true, 
+      categories, 
+      totalAmount: totalSpent,
+      totalSpent,
+      ...converter.info()
+    });
+  } catch (error) {
+    console.error('Category error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories', message: error.message });
+  }
+});
+
+// By tag
+// An expense with several tags counts towards each of them, so tag totals
+// can add up to more than totalSpent. Query: startDate, endDate, tags (comma separated)
+router.get('/by-tag', authenticateToken, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+    const onlyTags = normalizeTags(req.query.tags);
+
+    const { data: expenses, error } = await scope.apply(supabase
+      .from('fact_expenses')
+      .select('amount, currency, date_id, tags'))
       .gte('date_id', startDate || getDateRange('month').startDate)
       .lte('date_id', endDate || getDateRange('month').endDate);
 
@@ -99,35 +166,129 @@ router.get('/by-category', authenticateToken, async (req, res) => {
       throw error;
     }
 
-    const categoryData = {};
+    const converter = await createConverter(req.user.userId, expenses, scope.currency);
+    const converted = converter.convertRows(expenses);
+
+    const tagData = {};
+    const untagged = { total: 0, count: 0 };
     let totalSpent = 0;
 
-    expenses.forEach(exp => {
-      const amount = parseFloat(exp.amount);
-      const categoryName = exp.dim_category?.category_name || 'Other';
-      categoryData[categoryName] = (categoryData[categoryName] || 0) + amount;
-      totalSpent += amount;
+    converted.forEach(exp => {
+      totalSpent += exp.amount;
+      const tags = (exp.tags || []).filter(tag => !onlyTags || onlyTags.includes(tag));
+
+      if (!exp.tags || exp.tags.length === 0) {
+        untagged.total += exp.amount;
+        untagged.count += 1;
+      }
+
+      tags.forEach(tag => {
+        if (!tagData[tag]) tagData[tag] = { total: 0, count: 0 };
+        tagData[tag].total += exp.amount;
+        tagData[tag].count += 1;
+      });
     });
 
-    const categories = Object.entries(categoryData)
-      .map(([category, total_amount]) => ({
-        category,
-        totalAmount: parseFloat(total_amount.toFixed(2)),
-        total_amount: parseFloat(total_amount.toFixed(2)),
-        count: expenses.filter(e => (e.dim_category?.category_name || 'Other') === category).length,
-        percentage: totalSpent > 0 ? parseFloat(((total_amount / totalSpent) * 100).toFixed(2)) : 0
+    const tags = Object.entries(tagData)
+      .map(([tag, { total, count }]) => ({
+        tag,
+        totalAmount: parseFloat(total.toFixed(2)),
+        total_amount: parseFloat(total.toFixed(2)),
+        count,
+        percentage: totalSpent > 0 ? parseFloat(((total / totalSpent) * 100).toFixed(2)) : 0
       }))
       .sort((a, b) => b.totalAmount - a.totalAmount);
 
-    res.json({ 
-      success: true, 
-      categories, 
-      totalAmount: parseFloat(totalSpent.toFixed(2)),
-      totalSpent: parseFloat(totalSpent.toFixed(2))
+    res.json({
+      success: true,
+      tags,
+      untagged: {
+        totalAmount: parseFloat(untagged.total.toFixed(2)),
+        count: untagged.count
+      },
+      totalSpent: parseFloat(totalSpent.toFixed(2)),
+      ...converter.info()
     });
   } catch (error) {
-    console.error('Category error:', error);
-    res.status(500).json({ error: 'Failed to fetch categories', message: error.message });
+    console.error('Tag error:', error);
+    res.status(500).json({ error: 'Failed to fetch tag breakdown', message: error.message });
+  }
+});
+
+// Who paid (shared wallets)
+// Totals per member and how far each is from an equal share of the total.
+// Query: wallet (required), startDate, endDate
+router.get('/by-member', authenticateToken, async (req, res) => {
+  try {
+    const { startDate, endDate, wallet } = req.query;
+
+    if (!wallet || wallet === 'personal') {
+      return res.status(400).json({ error: 'wallet is required' });
+    }
+
+    const scope = await resolveWalletScope(wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    const { data: expenses, error } = await scope.apply(supabase
+      .from('fact_expenses')
+      .select('amount, currency, date_id, user_id'))
+      .gte('date_id', startDate || getDateRange('month').startDate)
+      .lte('date_id', endDate || getDateRange('month').endDate);
+
+    if (error) throw error;
+
+    const [converter, members] = await Promise.all([
+      createConverter(req.user.userId, expenses, scope.currency),
+      listMembers(wallet)
+    ]);
+
+    const paid = {};
+    let totalSpent = 0;
+    converter.convertRows(expenses).forEach(exp => {
+      const key = String(exp.user_id);
+      if (!paid[key]) paid[key] = { total: 0, count: 0 };
+      paid[key].total += exp.amount;
+      paid[key].count += 1;
+      totalSpent += exp.amount;
+    });
+
+    // Former members who paid still show up, without a name
+    const payers = [
+      ...members.map(m => ({ userId: m.userId, name: m.name, role: m.role })),
+      ...Object.keys(paid)
+        .filter(id => !members.some(m => String(m.userId) === id))
+        .map(id => ({ userId: id, name: null, role: null }))
+    ];
+    const fairShare = members.length > 0 ? totalSpent / members.length : 0;
+
+    res.json({
+      success: true,
+      wallet: scope.wallet,
+      members: payers
+        .map(payer => {
+          const { total = 0, count = 0 } = paid[String(payer.userId)] || {};
+          return {
+            ...payer,
+            totalPaid: parseFloat(total.toFixed(2)),
+            count,
+            percentage: totalSpent > 0 ? parseFloat(((total / totalSpent) * 100).toFixed(2)) : 0,
+            balance: payer.role ? parseFloat((total - fairShare).toFixed(2)) : null
+          };
+        })
+        .sort((a, b) => b.totalPaid - a.totalPaid),
+      totalSpent: parseFloat(totalSpent.toFixed(2)),
+      fairShare: parseFloat(fairShare.toFixed(2)),
+      ...converter.info(),
+      period: {
+        startDate: startDate || getDateRange('month').startDate,
+        endDate: endDate || getDateRange('month').endDate
+      }
+    });
+  } catch (error) {
+    console.error('Member analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch member breakdown', message: error.message });
   }
 });
 
@@ -135,20 +296,26 @@ router.get('/by-category', authenticateToken, async (req, res) => {
 router.get('/trends', authenticateToken, async (req, res) => {
   try {
     const { period = 'month' } = req.query;
+
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
     const { startDate, endDate } = getDateRange(period);
 
-    const { data: expenses, error } = await supabase
+    const { data: expenses, error } = await scope.apply(supabase
       .from('fact_expenses')
-      .select('amount, date_id')
-      .eq('user_id', req.user.userId)
+      .select('amount, currency, date_id'))
       .gte('date_id', startDate)
       .lte('date_id', endDate)
       .order('date_id', { ascending: true });
 
     if (error) throw error;
 
+    const converter = await createConverter(req.user.userId, expenses, scope.currency);
+
     const trendData = {};
-    expenses.forEach(exp => {
+    converter.convertRows(expenses).forEach(exp => {
       if (!trendData[exp.date_id]) {
         trendData[exp.date_id] = { date: exp.date_id, total: 0, count: 0 };
       }
@@ -156,7 +323,7 @@ router.get('/trends', authenticateToken, async (req, res) => {
       trendData[exp.date_id].count += 1;
     });
 
-    res.json({ success: true, trends: Object.values(trendData) });
+    res.json({ success: true, trends: Object.values(trendData), ...converter.info() });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch trends', message: error.message });
   }
@@ -166,28 +333,37 @@ router.get('/trends', authenticateToken, async (req, res) => {
 router.get('/monthly-comparison', authenticateToken, async (req, res) => {
   try {
     const { months = 6 } = req.query;
+
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     const monthlyData = [];
     const now = new Date();
+    const homeCurrency = scope.currency || await getHomeCurrency(req.user.userId);
 
     for (let i = 0; i < months; i++) {
       const monthStart = new Date(now.getFullYear(), now.getMonth() - i, 1);
       const monthEnd = new Date(now.getFullYear(), now.getMonth() - i + 1, 0);
 
-      const { data: expenses } = await supabase
+      const { data: expenses } = await scope.apply(supabase
         .from('fact_expenses')
-        .select('amount')
-        .eq('user_id', req.user.userId)
+        .select('amount, currency, date_id'))
         .gte('date_id', monthStart.toISOString().split('T')[0])
         .lte('date_id', monthEnd.toISOString().split('T')[0]);
 
+      const monthConverter = await createConverter(req.user.userId, expenses || [], homeCurrency);
+
       monthlyData.push({
         month: monthStart.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-        total: expenses?.reduce((sum, exp) => sum + parseFloat(exp.amount), 0) || 0,
-        count: expenses?.length || 0
+        total: monthConverter.convertRows(expenses || []).reduce((sum, exp) => sum + exp.amount, 0),
+        count: expenses?.length || 0,
+        missingRates: monthConverter.info().missingRates
       });
     }
 
-    res.json({ success: true, monthlyData: monthlyData.reverse() });
+    res.json({ success: true, monthlyData: monthlyData.reverse(), currency: homeCurrency });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch comparison', message: error.message });
   }
@@ -196,29 +372,128 @@ router.get('/monthly-comparison', authenticateToken, async (req, res) => {
 // Insights
 router.get('/insights', authenticateToken, async (req, res) => {
   try {
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const { data: expenses } = await supabase
+    const { data: expenses } = await scope.apply(supabase
       .from('fact_expenses')
-      .select('*')
-      .eq('user_id', req.user.userId)
+      .select('*'))
       .gte('date_id', thirtyDaysAgo.toISOString().split('T')[0]);
 
+    const converter = await createConverter(req.user.userId, expenses || [], scope.currency);
+
     const insights = [];
-    const total = expenses?.reduce((sum, exp) => sum + parseFloat(exp.amount), 0) || 0;
+    const total = converter.convertRows(expenses || []).reduce((sum, exp) => sum + exp.amount, 0);
 
     insights.push({
       type: 'daily_average',
       title: 'Daily Average',
       value: total / 30,
-      message: `You spend an average of $${(total / 30).toFixed(2)} per day`
+      currency: converter.currency,
+      message: `You spend an average of ${formatMoney(total / 30, converter.currency)} per day`
     });
 
-    res.json({ success: true, insights });
+    res.json({ success: true, insights, ...converter.info() });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate insights', message: error.message });
   }
 });
 
+// Item-level spending from receipt line items
+// Query: q (matches item names, e.g. "coffee"), startDate, endDate
+router.get('/items', authenticateToken, async (req, res) => {
+  try {
+    const { q, startDate, endDate } = req.query;
+
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    const from = startDate || getDateRange('month').startDate;
+    const to = endDate || getDateRange('month').endDate;
+
+    let query = supabase
+      .from('fact_receipt_items')
+      .select(`
+        name,
+        quantity,
+        unit_price,
+        price,
+        fact_receipts!inner(date_id, currency, wallet_id, dim_store!fk_store(store_name))
+      `)
+      .gte('fact_receipts.date_id', from)
+      .lte('fact_receipts.date_id', to);
+
+    // Scoped through the receipt so wallet items from every member count
+    query = scope.apply(query, 'fact_receipts.');
+
+    if (q) query = query.ilike('name', `%${q.replace(/[%_]/g, '')}%`);
+
+    const { data: items, error } = await query;
+
+    if (error) throw error;
+
+    // Item prices carry the currency of their receipt
+    const converter = await createConverter(
+      req.user.userId,
+      items.map(item => ({ currency: item.fact_receipts?.currency })),
+      scope.currency
+    );
+
+    const itemData = {};
+    let totalSpent = 0;
+
+    items.forEach(item => {
+      const key = item.name.trim().toLowerCase().replace(/\s+/g, ' ');
+      const price = converter.convertAmount(item.price, item.fact_receipts?.currency, item.fact_receipts?.date_id);
+      if (price === null) return;
+      const quantity = parseFloat(item.quantity) || 1;
+      const storeName = item.fact_receipts?.dim_store?.store_name || 'Unknown store';
+
+      if (!itemData[key]) {
+        itemData[key] = { name: item.name.trim(), total: 0, quantity: 0, count: 0, stores: {} };
+      }
+      const entry = itemData[key];
+      entry.total += price;
+      entry.quantity += quantity;
+      entry.count += 1;
+      entry.stores[storeName] = entry.stores[storeName] || { total: 0, count: 0 };
+      entry.stores[storeName].total += price;
+      entry.stores[storeName].count += 1;
+      totalSpent += price;
+    });
+
+    const results = Object.values(itemData)
+      .map(entry => ({
+        name: entry.name,
+        totalAmount: parseFloat(entry.total.toFixed(2)),
+        quantity: entry.quantity,
+        count: entry.count,
+        averageUnitPrice: entry.quantity > 0 ? parseFloat((entry.total / entry.quantity).toFixed(2)) : 0,
+        stores: Object.entries(entry.stores)
+          .map(([store, { total, count }]) => ({ store, totalAmount: parseFloat(total.toFixed(2)), count }))
+          .sort((a, b) => b.totalAmount - a.totalAmount)
+      }))
+      .sort((a, b) => b.totalAmount - a.totalAmount);
+
+    res.json({
+      success: true,
+      items: results,
+      totalAmount: parseFloat(totalSpent.toFixed(2)),
+      itemCount: items.length,
+      ...converter.info(),
+      period: { startDate: from, endDate: to }
+    });
+  } catch (error) {
+    console.error('Item analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch item analytics', message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
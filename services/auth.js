@@ -1,18 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
+const authenticateToken = require('../middleware/auth');
+const { rateLimit, getLockout, recordLoginFailure, clearLoginFailures } = require('../middleware/rateLimit');
+const archiver = require('archiver');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../lib/currency');
+const { verifyGoogleIdToken } = require('../lib/google');
+const {
+  consumeAuthToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../lib/authTokens');
+const {
+  generateSecret,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret
+} = require('../lib/totp');
+const { CHALLENGE_EXPIRES_IN, getMfa, checkSecondFactor, createChallenge, readChallenge } = require('../lib/mfa');
+const { API_TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiTokens } = require('../lib/apiTokens');
+const { collectUserData, downloadReceiptObject, deleteUserData } = require('../lib/account');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../lib/sessions');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short lived; clients keep the session alive with
+// POST /refresh (see lib/sessions.js)
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), async (req, res) => {
   try {
     const { email, password, name } = req.body;
 
@@ -45,6 +71,8 @@ router.post('/register', async (req, res) => {
     }
 
     // Create auth user
+    // Supabase Auth treats the address as confirmed so password sign-in works;
+    // verification is tracked in dim_user.email_verified
     const { data: authData, error: authError } = await supabase.auth.admin.createUser({
       email,
       password,
@@ -67,6 +95,7 @@ router.post('/register', async (req, res) => {
         email: email,
         full_name: name,
         auth_provider: 'EMAIL',
+        email_verified: false,
         is_active: true
       });
 
@@ -75,23 +104,31 @@ router.post('/register', async (req, res) => {
       // Continue anyway - auth user is created
     } else {
       console.log('✅ User added to dim_user');
+
+      try {
+        await sendVerificationEmail({ user_id: authData.user.id, email, full_name: name });
+      } catch (mailError) {
+        console.error('⚠️ Verification email error:', mailError);
+      }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: authData.user.id, email },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Start a session (access + refresh token)
+    const session = await createSession({
+      userId: authData.user.id,
+      email,
+      emailVerified: false,
+      createdAt: new Date().toISOString()
+    }, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...session,
       user: {
         id: authData.user.id,
         email,
-        name
+        name,
+        emailVerified: false
       }
     });
   } catch (error) {
@@ -101,7 +138,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -114,10 +151,18 @@ router.post('/login', async (req, res) => {
 
     console.log('🔐 Login attempt:', { email });
 
+    // Progressive lockout after repeated failures for this account
+    const lockedFor = await getLockout(email);
+    if (lockedFor > 0) {
+      const retryAfter = Math.ceil(lockedFor / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later', retryAfter });
+    }
+
     // ⭐ FIX: Check dim_user first to get correct user_id
     const { data: dimUserData, error: dimUserError } = await supabase
       .from('dim_user')
-      .select('user_id, email, full_name, auth_provider')
+      .select('user_id, email, full_name, auth_provider, email_verified, created_at, is_active, role')
       .eq('email', email)
       .single();
 
@@ -140,31 +185,56 @@ router.post('/login', async (req, res) => {
 
       if (authError) {
         console.error('❌ Login error:', authError);
+        await recordLoginFailure(email);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
+      await clearLoginFailures(email);
+
+      // Only reported after the password checks out
+      if (dimUserData.is_active === false) {
+        console.log('⛔ Login refused, account deactivated:', dimUserData.user_id);
+        return res.status(403).json({ error: 'Account is deactivated', code: 'account_deactivated' });
+      }
+
+      // Second step when 2FA is enabled: no session until the code checks out
+      const mfa = await getMfa(dimUserData.user_id);
+      if (mfa && mfa.is_enabled) {
+        console.log('🔐 2FA required:', dimUserData.user_id);
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          challengeToken: createChallenge(dimUserData.user_id, dimUserData.email),
+          expiresIn: CHALLENGE_EXPIRES_IN
+        });
+      }
+
       console.log('✅ Login successful:', dimUserData.user_id);
 
       // ⭐ FIX: Use the user_id from dim_user, not from auth
-      const token = jwt.sign(
-        { userId: dimUserData.user_id, email },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      const session = await createSession({
+        userId: dimUserData.user_id,
+        email,
+        emailVerified: dimUserData.email_verified,
+        createdAt: dimUserData.created_at,
+        role: dimUserData.role
+      }, req);
 
       res.json({
         success: true,
         message: 'Login successful',
-        token,
+        ...session,
         user: {
           id: dimUserData.user_id,
           email: dimUserData.email,
-          name: dimUserData.full_name
+          name: dimUserData.full_name,
+          emailVerified: dimUserData.email_verified !== false
         }
       });
     } else {
       // User doesn't exist in dim_user
       console.log('❌ User not found in dim_user');
+      await recordLoginFailure(email);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
   } catch (error) {
@@ -173,45 +243,172 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// ⭐ FIXED: Google Sign-In - Check dim_user first!
-router.post('/google', async (req, res) => {
+// Login step 2: exchange the challenge token and a TOTP or recovery code for a session
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/login/2fa', rateLimit('login'), async (req, res) => {
   try {
-    const { email, name, googleId, photoUrl } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!email || !name) {
-      return res.status(400).json({ error: 'Email and name are required' });
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['challengeToken', 'code or recoveryCode']
+      });
     }
 
-    console.log('🔐 Google Sign-In attempt:', { email, name, googleId });
+    const challenge = readChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Challenge expired, please sign in again' });
+    }
 
-    // ⭐ FIX: Check dim_user FIRST, not Supabase Auth!
-    const { data: dimUserData, error: dimUserError } = await supabase
+    const lockedFor = await getLockout(challenge.email);
+    if (lockedFor > 0) {
+      const retryAfter = Math.ceil(lockedFor / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later', retryAfter });
+    }
+
+    const mfa = await getMfa(challenge.userId);
+    const method = mfa && mfa.is_enabled ? await checkSecondFactor(mfa, { code, recoveryCode }) : null;
+
+    if (!method) {
+      await recordLoginFailure(challenge.email);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await clearLoginFailures(challenge.email);
+
+    const { data: dimUserData } = await supabase
       .from('dim_user')
-      .select('user_id, email, full_name, google_id')
-      .eq('email', email)
+      .select('user_id, email, full_name, email_verified, created_at, is_active, role')
+      .eq('user_id', challenge.userId)
       .single();
 
+    if (!dimUserData) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (dimUserData.is_active === false) {
+      return res.status(403).json({ error: 'Account is deactivated', code: 'account_deactivated' });
+    }
+
+    const session = await createSession({
+      userId: dimUserData.user_id,
+      email: dimUserData.email,
+      emailVerified: dimUserData.email_verified,
+      createdAt: dimUserData.created_at,
+      role: dimUserData.role
+    }, req);
+
+    console.log('✅ Login successful (2FA):', { userId: dimUserData.user_id, method });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...session,
+      user: {
+        id: dimUserData.user_id,
+        email: dimUserData.email,
+        name: dimUserData.full_name,
+        emailVerified: dimUserData.email_verified !== false
+      },
+      recoveryCodesRemaining: method === 'recovery'
+        ? (mfa.recovery_code_hashes || []).length - 1
+        : undefined
+    });
+  } catch (error) {
+    console.error('❌ 2FA login error:', error);
+    res.status(500).json({ error: 'Login failed', message: error.message });
+  }
+});
+
+// Google Sign-In
+// Body: { idToken } - the ID token from Google Sign-In, verified server side.
+// Email, name and googleId come only from the verified claims.
+router.post('/google', rateLimit('google'), async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({ error: 'idToken is required' });
+    }
+
+    let google;
+    try {
+      google = await verifyGoogleIdToken(idToken);
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      throw error;
+    }
+
+    const { email, name, googleId, picture } = google;
+
+    console.log('🔐 Google Sign-In attempt:', { email, googleId });
+
+    // A linked Google identity wins over the email address
+    const { data: linkedUser } = await supabase
+      .from('dim_user')
+      .select('user_id, email, full_name, auth_provider, google_id, email_verified, created_at, is_active, role')
+      .eq('google_id', googleId)
+      .maybeSingle();
+
+    let dimUserData = linkedUser;
+    if (!dimUserData) {
+      const { data: emailUser } = await supabase
+        .from('dim_user')
+        .select('user_id, email, full_name, auth_provider, google_id, email_verified, created_at, is_active, role')
+        .eq('email', email)
+        .maybeSingle();
+      dimUserData = emailUser;
+    }
+
     let userId;
     let userName;
 
     if (dimUserData) {
+      if (dimUserData.google_id && dimUserData.google_id !== googleId) {
+        return res.status(409).json({ error: 'This account is linked to a different Google account' });
+      }
+
+      // Password accounts are only linked from an authenticated session
+      if (!dimUserData.google_id && dimUserData.auth_provider !== 'GOOGLE') {
+        return res.status(409).json({
+          error: 'An account with this email already exists',
+          message: 'Sign in with your password, then link Google from your account (POST /api/auth/google/link).',
+          code: 'link_required'
+        });
+      }
+
+      if (dimUserData.is_active === false) {
+        console.log('⛔ Google sign-in refused, account deactivated:', dimUserData.user_id);
+        return res.status(403).json({ error: 'Account is deactivated', code: 'account_deactivated' });
+      }
+
       // ✅ User exists in dim_user - use that ID!
       console.log('✅ Existing user found in dim_user:', dimUserData.user_id);
       userId = dimUserData.user_id;
       userName = dimUserData.full_name;
-      
-      // Update google_id if it's missing
-      if (!dimUserData.google_id && googleId) {
+
+      // Google accounts created before ID tokens were verified have no google_id yet
+      if (!dimUserData.google_id) {
         await supabase
           .from('dim_user')
           .update({ google_id: googleId })
           .eq('user_id', userId);
         console.log('✅ Updated google_id for existing user');
       }
+
+      // Google has verified this address
+      if (dimUserData.email_verified === false && dimUserData.email === email) {
+        await supabase
+          .from('dim_user')
+          .update({ email_verified: true })
+          .eq('user_id', userId);
+        dimUserData.email_verified = true;
+      }
     } else {
       // User doesn't exist - create new one
       console.log('🆕 Creating new user...');
-      
+
       // Create new user in Supabase Auth
       const { data: newUser, error: createError } = await supabase.auth.admin.createUser({
         email,
@@ -219,7 +416,7 @@ router.post('/google', async (req, res) => {
         user_metadata: {
           name: name,
           google_id: googleId,
-          photo_url: photoUrl
+          photo_url: picture
         }
       });
 
@@ -241,6 +438,7 @@ router.post('/google', async (req, res) => {
           full_name: name,
           auth_provider: 'GOOGLE',
           google_id: googleId,
+          email_verified: true,
           is_active: true
         });
 
@@ -251,21 +449,35 @@ router.post('/google', async (req, res) => {
       }
     }
 
-    // Generate JWT token with the correct userId
-    const token = jwt.sign(
-      { userId, email },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Second step when 2FA is enabled, same as /login
+    const mfa = dimUserData ? await getMfa(userId) : null;
+    if (mfa && mfa.is_enabled) {
+      console.log('🔐 2FA required:', userId);
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        challengeToken: createChallenge(userId, dimUserData.email),
+        expiresIn: CHALLENGE_EXPIRES_IN
+      });
+    }
+
+    // Start a session with the correct userId
+    const session = await createSession({
+      userId,
+      email: dimUserData ? dimUserData.email : email,
+      emailVerified: dimUserData ? dimUserData.email_verified : true,
+      createdAt: dimUserData ? dimUserData.created_at : new Date().toISOString(),
+      role: dimUserData ? dimUserData.role : 'user'
+    }, req);
 
-    console.log('✅ JWT token generated for user:', userId);
+    console.log('✅ Session started for user:', userId);
 
     res.json({
       success: true,
-      token,
+      ...session,
       user: {
         id: userId,
-        email,
+        email: dimUserData ? dimUserData.email : email,
         name: userName
       }
     });
@@ -275,23 +487,188 @@ router.post('/google', async (req, res) => {
   }
 });
 
-// Get current user
-router.get('/me', async (req, res) => {
+// Link a Google account to the signed-in user
+// Body: { idToken }
+router.post('/google/link', authenticateToken, async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({ error: 'idToken is required' });
+    }
+
+    let google;
+    try {
+      google = await verifyGoogleIdToken(idToken);
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      throw error;
+    }
+
+    const { data: linkedUser } = await supabase
+      .from('dim_user')
+      .select('user_id')
+      .eq('google_id', google.googleId)
+      .maybeSingle();
+
+    if (linkedUser && linkedUser.user_id !== req.user.userId) {
+      return res.status(409).json({ error: 'This Google account is linked to another user' });
+    }
+
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ google_id: google.googleId })
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    console.log('✅ Google account linked:', { userId: req.user.userId, googleEmail: google.email });
+
+    res.json({ success: true, message: 'Google account linked', googleEmail: google.email });
+  } catch (error) {
+    console.error('❌ Google link error:', error);
+    res.status(500).json({ error: 'Failed to link Google account', message: error.message });
+  }
+});
+
+// Request a password reset link
+// Always answers the same way so it can't be used to probe for accounts
+router.post('/forgot-password', rateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const { data: dimUser } = await supabase
+      .from('dim_user')
+      .select('user_id, email, full_name, auth_provider, is_active')
+      .eq('email', email)
+      .maybeSingle();
+
+    // Google accounts have no password to reset
+    if (dimUser && dimUser.auth_provider !== 'GOOGLE' && dimUser.is_active !== false) {
+      await sendPasswordResetEmail(dimUser);
+      console.log('📧 Password reset sent:', dimUser.user_id);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email', message: error.message });
+  }
+});
+
+// Set a new password with a reset token
+// Body: { token, password } - signs out every device
+router.post('/reset-password', rateLimit('passwordReset'), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['token', 'password']
+      });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const userId = await consumeAuthToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const { error: authError } = await supabase.auth.admin.updateUserById(userId, { password });
+    if (authError) throw authError;
+
+    // Receiving the email proves the address
+    await supabase
+      .from('dim_user')
+      .update({ email_verified: true })
+      .eq('user_id', userId);
+
+    const revoked = await revokeUserSessions(userId, 'password_reset');
+    const revokedTokens = await revokeApiTokens(userId);
+
+    console.log('✅ Password reset:', { userId, revoked, revokedTokens });
+
+    res.json({ success: true, message: 'Password has been reset, please sign in again' });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password', message: error.message });
+  }
+});
+
+// Confirm an email address
+// Body: { token } - refresh afterwards to drop unverified-account limits
+router.post('/verify-email', rateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { token } = req.body;
 
     if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const userId = await consumeAuthToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
     }
 
-    const verified = jwt.verify(token, JWT_SECRET);
-    
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ email_verified: true })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    console.log('✅ Email verified:', userId);
+
+    res.json({ success: true, message: 'Email address verified' });
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email', message: error.message });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', authenticateToken.allowUnverified, async (req, res) => {
+  try {
+    const { data: dimUser, error } = await supabase
+      .from('dim_user')
+      .select('user_id, email, full_name, email_verified')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (error || !dimUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (dimUser.email_verified !== false) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(dimUser);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email', message: error.message });
+  }
+});
+
+// Get current user
+router.get('/me', authenticateToken.allowUnverified, async (req, res) => {
+  try {
     // ⭐ FIX: Get user from dim_user instead of auth
     const { data: dimUser, error: dimError } = await supabase
       .from('dim_user')
-      .select('user_id, email, full_name')
-      .eq('user_id', verified.userId)
+      .select('user_id, email, full_name, home_currency, email_verified, role')
+      .eq('user_id', req.user.userId)
       .single();
 
     if (dimError || !dimUser) {
@@ -303,13 +680,602 @@ router.get('/me', async (req, res) => {
       user: {
         id: dimUser.user_id,
         email: dimUser.email,
-        name: dimUser.full_name
+        name: dimUser.full_name,
+        homeCurrency: dimUser.home_currency || DEFAULT_CURRENCY,
+        emailVerified: dimUser.email_verified !== false,
+        role: dimUser.role || 'user'
       }
     });
   } catch (error) {
     console.error('❌ Get user error:', error);
-    res.status(403).json({ error: 'Invalid token' });
+    res.status(500).json({ error: 'Failed to fetch user', message: error.message });
+  }
+});
+
+// Check a password without starting a session
+const verifyPassword = async (email, password) => {
+  if (!password) return false;
+  const { error } = await supabase.auth.signInWithPassword({ email, password });
+  return !error;
+};
+
+// Update profile
+// Body: { name?, email?, homeCurrency?, currentPassword? (required to change email) }
+// Open to unverified accounts so a mistyped email can be corrected
+router.patch('/me', authenticateToken.allowUnverified, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { name, email, homeCurrency, currentPassword } = req.body;
+
+    const { data: dimUser, error: dimError } = await supabase
+      .from('dim_user')
+      .select('user_id, email, full_name, auth_provider, home_currency, email_verified')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (dimError || !dimUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      updateData.full_name = String(name).trim();
+    }
+
+    if (homeCurrency !== undefined) {
+      const currency = normalizeCurrency(homeCurrency);
+      if (!currency) {
+        return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+      }
+      updateData.home_currency = currency;
+    }
+
+    const emailChanged = email !== undefined && email !== dimUser.email;
+    if (emailChanged) {
+      if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+      if (dimUser.auth_provider === 'GOOGLE') {
+        return res.status(400).json({ error: 'The email of a Google account is managed by Google' });
+      }
+      if (!(await verifyPassword(dimUser.email, currentPassword))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      const { data: existing } = await supabase
+        .from('dim_user')
+        .select('user_id')
+        .eq('email', email)
+        .maybeSingle();
+
+      if (existing) {
+        return res.status(409).json({ error: 'Email is already in use' });
+      }
+
+      const { error: authError } = await supabase.auth.admin.updateUserById(req.user.userId, {
+        email,
+        email_confirm: true
+      });
+      if (authError) throw authError;
+
+      updateData.email = email;
+      updateData.email_verified = false;
+    }
+
+    if (Object.keys(updateData).length > 0) {
+      const { error } = await supabase
+        .from('dim_user')
+        .update(updateData)
+        .eq('user_id', req.user.userId);
+
+      if (error) throw error;
+    }
+
+    const updated = { ...dimUser, ...updateData };
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updated);
+      } catch (mailError) {
+        console.error('⚠️ Verification email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: updated.user_id,
+        email: updated.email,
+        name: updated.full_name,
+        homeCurrency: updated.home_currency || DEFAULT_CURRENCY,
+        emailVerified: updated.email_verified !== false
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile', message: error.message });
+  }
+});
+
+// Change password
+// Body: { currentPassword, newPassword } - other devices are signed out
+router.post('/change-password', authenticateToken, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['currentPassword', 'newPassword']
+      });
+    }
+    if (String(newPassword).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const { data: dimUser } = await supabase
+      .from('dim_user')
+      .select('email, auth_provider')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (!dimUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (dimUser.auth_provider === 'GOOGLE') {
+      return res.status(400).json({ error: 'Google accounts have no password' });
+    }
+    if (!(await verifyPassword(dimUser.email, currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(req.user.userId, { password: newPassword });
+    if (error) throw error;
+
+    // Other sessions and every API token go, as after a reset
+    const revoked = await revokeUserSessions(req.user.userId, 'password_changed', req.user.sid);
+    const revokedTokens = await revokeApiTokens(req.user.userId);
+
+    console.log('✅ Password changed:', { userId: req.user.userId, revoked, revokedTokens });
+
+    res.json({ success: true, message: 'Password changed', signedOutSessions: revoked, revokedApiTokens: revokedTokens });
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password', message: error.message });
+  }
+});
+
+// Download everything we store about the user as a zip
+// (profile, expenses, receipts, items, budgets, recurring, categories, tags,
+// sessions and the receipt images)
+router.get('/me/export', authenticateToken.allowUnverified, async (req, res) => {
+  let data;
+  try {
+    data = await collectUserData(req.user.userId);
+  } catch (error) {
+    console.error('❌ Export account error:', error);
+    return res.status(500).json({ error: 'Failed to export account data', message: error.message });
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="xpnse-account-${date}.zip"`);
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', (error) => {
+    console.error('❌ Export archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data.profile, null, 2), { name: 'profile.json' });
+  for (const [name, rows] of Object.entries(data.tables)) {
+    archive.append(JSON.stringify(rows, null, 2), { name: `${name}.json` });
+  }
+
+  const missingImages = [];
+  for (const path of data.images) {
+    try {
+      archive.append(await downloadReceiptObject(path), { name: path.replace(`receipts/${req.user.userId}/`, 'images/') });
+    } catch (error) {
+      console.error('⚠️ Could not download receipt image:', path, error.message);
+      missingImages.push(path);
+    }
+  }
+  if (missingImages.length > 0) {
+    archive.append(JSON.stringify(missingImages, null, 2), { name: 'missing-images.json' });
+  }
+
+  console.log('📦 Account export:', { userId: req.user.userId, images: data.images.length });
+
+  await archive.finalize();
+});
+
+// Delete the account and everything in it
+// Body: { password } for email accounts, { confirm: 'DELETE' } for Google accounts,
+// plus { code } or { recoveryCode } when 2FA is enabled
+router.delete('/me', authenticateToken.allowUnverified, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { password, confirm, code, recoveryCode } = req.body || {};
+
+    const { data: dimUser } = await supabase
+      .from('dim_user')
+      .select('email, auth_provider')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (!dimUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (dimUser.auth_provider === 'GOOGLE') {
+      if (confirm !== 'DELETE') {
+        return res.status(400).json({ error: 'Send { confirm: "DELETE" } to delete this account' });
+      }
+    } else if (!(await verifyPassword(dimUser.email, password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const mfa = await getMfa(req.user.userId);
+    if (mfa && mfa.is_enabled && !(await checkSecondFactor(mfa, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid verification code', mfaRequired: true });
+    }
+
+    await revokeUserSessions(req.user.userId, 'account_deleted');
+    const deleted = await deleteUserData(req.user.userId);
+
+    console.log('🗑️ Account deleted:', { userId: req.user.userId, deleted });
+
+    res.json({ success: true, message: 'Account deleted', deleted });
+  } catch (error) {
+    console.error('❌ Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account', message: error.message });
+  }
+});
+
+// 2FA status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const mfa = await getMfa(req.user.userId);
+
+    res.json({
+      success: true,
+      enabled: !!(mfa && mfa.is_enabled),
+      enabledAt: mfa && mfa.is_enabled ? mfa.enabled_at : null,
+      recoveryCodesRemaining: mfa && mfa.is_enabled ? (mfa.recovery_code_hashes || []).length : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA error:', error);
+    res.status(500).json({ error: 'Failed to fetch 2FA status', message: error.message });
+  }
+});
+
+// Start 2FA enrollment: returns the secret and the otpauth:// URI to show as a QR code
+// Nothing changes at login until POST /2fa/enable confirms a code
+// Body: { password } - a stolen access token alone can't enroll its own secret
+router.post('/2fa/setup', authenticateToken, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    const { data: dimUser } = await supabase
+      .from('dim_user')
+      .select('email, auth_provider')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (!dimUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (dimUser.auth_provider === 'GOOGLE') {
+      return res.status(400).json({ error: 'Two-factor authentication for Google accounts is managed by Google' });
+    }
+    if (!(await verifyPassword(dimUser.email, password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const existing = await getMfa(req.user.userId);
+    if (existing && existing.is_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('fact_user_mfa')
+      .upsert([{
+        user_id: req.user.userId,
+        totp_secret: encryptSecret(secret),
+        is_enabled: false,
+        last_used_step: null,
+        recovery_code_hashes: []
+      }], { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const uri = otpauthUri(secret, dimUser.email);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: uri,
+      qrPayload: uri
+    });
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup', message: error.message });
+  }
+});
+
+// Finish enrollment with the first code; returns the recovery codes (shown once)
+// Body: { code }
+router.post('/2fa/enable', authenticateToken, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const mfa = await getMfa(req.user.userId);
+    if (!mfa) {
+      return res.status(400).json({ error: 'Start with POST /api/auth/2fa/setup' });
+    }
+    if (mfa.is_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await checkSecondFactor(mfa, { code }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('fact_user_mfa')
+      .update({
+        is_enabled: true,
+        enabled_at: new Date().toISOString(),
+        recovery_code_hashes: recoveryCodes.map(hashRecoveryCode)
+      })
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    console.log('✅ 2FA enabled:', req.user.userId);
+
+    res.json({ success: true, message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('❌ 2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable 2FA', message: error.message });
+  }
+});
+
+// Turn 2FA off
+// Body: { password, code } or { password, recoveryCode }
+router.post('/2fa/disable', authenticateToken, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const mfa = await getMfa(req.user.userId);
+    if (!mfa || !mfa.is_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const { data: dimUser } = await supabase
+      .from('dim_user')
+      .select('email')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (!dimUser || !(await verifyPassword(dimUser.email, password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (!(await checkSecondFactor(mfa, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const { error } = await supabase
+      .from('fact_user_mfa')
+      .delete()
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    console.log('⚠️ 2FA disabled:', req.user.userId);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('❌ 2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA', message: error.message });
+  }
+});
+
+// Replace the recovery codes (the old ones stop working)
+// Body: { code }
+router.post('/2fa/recovery-codes', authenticateToken, rateLimit('passwordChange'), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const mfa = await getMfa(req.user.userId);
+    if (!mfa || !mfa.is_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await checkSecondFactor(mfa, { code }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('fact_user_mfa')
+      .update({ recovery_code_hashes: recoveryCodes.map(hashRecoveryCode) })
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes', message: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+// The old refresh token stops working; presenting it again revokes the session
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const result = await rotateSession(refreshToken);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed', message: error.message });
+  }
+});
+
+// Logout this device, or every device with { all: true }
+router.post('/logout', authenticateToken.allowUnverified, async (req, res) => {
+  try {
+    if (req.body && req.body.all) {
+      const revoked = await revokeUserSessions(req.user.userId, 'logout_all');
+      console.log('👋 Logged out everywhere:', { userId: req.user.userId, revoked });
+      return res.json({ success: true, message: 'Logged out from all devices', revoked });
+    }
+
+    await revokeSession(req.user.sid, 'logout');
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: 'Logout failed', message: error.message });
+  }
+});
+
+// Active sessions (signed-in devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.session_id,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at || session.created_at,
+        expiresAt: session.expires_at,
+        current: session.session_id === req.user.sid
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions', message: error.message });
+  }
+});
+
+// Revoke one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    if (!sessions.some(session => session.session_id === req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(req.params.id, 'revoked_by_user');
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session', message: error.message });
+  }
+});
+
+const formatApiToken = (token) => ({
+  id: token.token_id,
+  name: token.name,
+  prefix: token.token_prefix,
+  scopes: token.scopes,
+  createdAt: token.created_at,
+  lastUsedAt: token.last_used_at,
+  expiresAt: token.expires_at,
+  expired: token.expired || false
+});
+
+// Personal access tokens (for scripts; send as "Authorization: Bearer xpn_...")
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await listApiTokens(req.user.userId);
+
+    res.json({
+      success: true,
+      tokens: tokens.map(formatApiToken),
+      availableScopes: API_TOKEN_SCOPES,
+      count: tokens.length
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens', message: error.message });
+  }
+});
+
+// Create a token - the value is only returned here
+// Body: { name, scopes: ['expenses:read', ...], expiresInDays? }
+router.post('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const result = await createApiToken(req.user.userId, { name, scopes, expiresInDays });
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        availableScopes: result.status === 400 ? API_TOKEN_SCOPES : undefined
+      });
+    }
+
+    const { token, ...row } = result;
+
+    console.log('✅ API token created:', { userId: req.user.userId, tokenId: row.token_id, scopes: row.scopes });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this token now, it will not be shown again',
+      token,
+      apiToken: formatApiToken(row)
+    });
+  } catch (error) {
+    console.error('❌ Create API token error:', error);
+    res.status(500).json({ error: 'Failed to create API token', message: error.message });
+  }
+});
+
+// Revoke a token
+router.delete('/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeApiTokens(req.user.userId, req.params.id);
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true, message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token', message: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
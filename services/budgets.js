@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { createConverter } = require('../lib/currency');
+const { findCategoryId, getSubcategoryIds } = require('../lib/dimensions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('budgets:read', 'budgets:write'));
+
+// fact_budgets: budget_id, user_id, category_id (null = overall limit),
+// amount (in the user's home currency), period_type ('MONTH' | 'CUSTOM'),
+// start_date, end_date, created_at, updated_at
+
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// ============================================
+// HELPER: Format a Date as YYYY-MM-DD without timezone shifts
+// ============================================
+function toDateId(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// ============================================
+// HELPER: Resolve "YYYY-MM" into first/last day of that month
+// ============================================
+function getMonthRange(month) {
+  let year, monthIndex;
+
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match) return null;
+    year = parseInt(match[1]);
+    monthIndex = parseInt(match[2]) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+  } else {
+    const now = new Date();
+    year = now.getFullYear();
+    monthIndex = now.getMonth();
+  }
+
+  return {
+    startDate: toDateId(new Date(year, monthIndex, 1)),
+    endDate: toDateId(new Date(year, monthIndex + 1, 0))
+  };
+}
+
+// ============================================
+// HELPER: Work out the period from a request body
+// Either { month: 'YYYY-MM' } or { startDate, endDate }
+// ============================================
+function resolvePeriod({ month, startDate, endDate }) {
+  if (startDate || endDate) {
+    if (!startDate || !endDate) {
+      return { error: 'Both startDate and endDate are required for a custom period' };
+    }
+    if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+      return { error: 'Invalid startDate or endDate' };
+    }
+    if (startDate > endDate) {
+      return { error: 'startDate must be before endDate' };
+    }
+    return { period_type: 'CUSTOM', start_date: startDate, end_date: endDate };
+  }
+
+  const range = getMonthRange(month);
+  if (!range) {
+    return { error: 'Invalid month, expected YYYY-MM' };
+  }
+  return { period_type: 'MONTH', start_date: range.startDate, end_date: range.endDate };
+}
+
+// ============================================
+// HELPER: Attach spent/remaining/percent to each budget
+// Spending comes from the same fact_expenses rows services/expenses.js writes,
+// converted to the user's home currency. A category budget also counts its
+// subcategories.
+// ============================================
+async function withStatus(userId, budgets) {
+  if (budgets.length === 0) return [];
+
+  const rangeStart = budgets.reduce((min, b) => (b.start_date < min ? b.start_date : min), budgets[0].start_date);
+  const rangeEnd = budgets.reduce((max, b) => (b.end_date > max ? b.end_date : max), budgets[0].end_date);
+
+  const expenses = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('fact_expenses')
+      .select('amount, currency, category_id, date_id')
+      .eq('user_id', userId)
+      .gte('date_id', rangeStart)
+      .lte('date_id', rangeEnd)
+      .order('expense_id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    expenses.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  const converter = await createConverter(userId, expenses);
+  const converted = converter.convertRows(expenses);
+
+  const categoryIds = {};
+  for (const budget of budgets) {
+    if (budget.category_id !== null && !(budget.category_id in categoryIds)) {
+      categoryIds[budget.category_id] = await getSubcategoryIds(budget.category_id, userId);
+    }
+  }
+
+  return budgets.map(budget => {
+    const spent = converted
+      .filter(exp => exp.date_id >= budget.start_date && exp.date_id <= budget.end_date)
+      .filter(exp => budget.category_id === null || categoryIds[budget.category_id].includes(exp.category_id))
+      .reduce((sum, exp) => sum + exp.amount, 0);
+
+    const limit = parseFloat(budget.amount);
+    const remaining = limit - spent;
+    const percentUsed = limit > 0 ? (spent / limit) * 100 : 0;
+
+    return {
+      id: budget.budget_id,
+      budget_id: budget.budget_id,
+      category: budget.category_id === null ? null : (budget.dim_category?.category_name || 'Other'),
+      category_id: budget.category_id,
+      currency: converter.currency,
+      period_type: budget.period_type,
+      startDate: budget.start_date,
+      endDate: budget.end_date,
+      limit: parseFloat(limit.toFixed(2)),
+      spent: parseFloat(spent.toFixed(2)),
+      remaining: parseFloat(remaining.toFixed(2)),
+      percentUsed: parseFloat(percentUsed.toFixed(2)),
+      isOverBudget: spent > limit,
+      created_at: budget.created_at,
+      updated_at: budget.updated_at
+    };
+  });
+}
+
+const BUDGET_SELECT = `
+  budget_id,
+  user_id,
+  category_id,
+  amount,
+  period_type,
+  start_date,
+  end_date,
+  created_at,
+  updated_at,
+  dim_category!fact_budgets_category_id_fkey(category_name)
+`;
+
+// ============================================
+// List budgets overlapping a month (default: current) or a custom range
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { month, startDate, endDate } = req.query;
+
+    let range;
+    if (startDate || endDate) {
+      range = { startDate: startDate || endDate, endDate: endDate || startDate };
+    } else {
+      range = getMonthRange(month);
+      if (!range) {
+        return res.status(400).json({ error: 'Invalid month, expected YYYY-MM' });
+      }
+    }
+
+    const { data: budgets, error } = await supabase
+      .from('fact_budgets')
+      .select(BUDGET_SELECT)
+      .eq('user_id', req.user.userId)
+      .lte('start_date', range.endDate)
+      .gte('end_date', range.startDate)
+      .order('start_date', { ascending: true });
+
+    if (error) throw error;
+
+    const results = await withStatus(req.user.userId, budgets);
+
+    const overall = results.find(b => b.category_id === null) || null;
+
+    res.json({
+      success: true,
+      budgets: results,
+      overall,
+      count: results.length,
+      period: range
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets', message: error.message });
+  }
+});
+
+// ============================================
+// Get single budget with status
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: budget, error } = await supabase
+      .from('fact_budgets')
+      .select(BUDGET_SELECT)
+      .eq('budget_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (error || !budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const [result] = await withStatus(req.user.userId, [budget]);
+
+    res.json({ success: true, budget: result });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ error: 'Failed to fetch budget', message: error.message });
+  }
+});
+
+// ============================================
+// Create budget
+// Body: { amount, category?, month? } or { amount, category?, startDate, endDate }
+// Omitting category sets an overall limit
+// ============================================
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { amount, category, month, startDate, endDate } = req.body;
+
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({ error: 'A positive amount is required' });
+    }
+
+    const period = resolvePeriod({ month, startDate, endDate });
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    let categoryId = null;
+    if (category) {
+      categoryId = await findCategoryId(category, req.user.userId);
+      if (!categoryId) {
+        return res.status(404).json({ error: 'Category not found', category });
+      }
+    }
+
+    // One budget per category per period
+    let existingQuery = supabase
+      .from('fact_budgets')
+      .select('budget_id')
+      .eq('user_id', req.user.userId)
+      .eq('start_date', period.start_date)
+      .eq('end_date', period.end_date);
+
+    existingQuery = categoryId === null
+      ? existingQuery.is('category_id', null)
+      : existingQuery.eq('category_id', categoryId);
+
+    const { data: existing } = await existingQuery.maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Budget already exists for this category and period',
+        budget_id: existing.budget_id
+      });
+    }
+
+    const { data: budget, error } = await supabase
+      .from('fact_budgets')
+      .insert([{
+        user_id: req.user.userId,
+        category_id: categoryId,
+        amount: parseFloat(amount),
+        ...period
+      }])
+      .select(BUDGET_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    console.log('✅ Budget created:', budget.budget_id);
+
+    const [result] = await withStatus(req.user.userId, [budget]);
+
+    res.status(201).json({ success: true, budget: result });
+  } catch (error) {
+    console.error('❌ Create budget error:', error);
+    res.status(500).json({ error: 'Failed to create budget', message: error.message });
+  }
+});
+
+// ============================================
+// Update budget (amount and/or period)
+// ============================================
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { amount, month, startDate, endDate } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (amount !== undefined) {
+      if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+        return res.status(400).json({ error: 'A positive amount is required' });
+      }
+      updateData.amount = parseFloat(amount);
+    }
+
+    if (month !== undefined || startDate !== undefined || endDate !== undefined) {
+      const period = resolvePeriod({ month, startDate, endDate });
+      if (period.error) {
+        return res.status(400).json({ error: period.error });
+      }
+      Object.assign(updateData, period);
+    }
+
+    const { data: budget, error } = await supabase
+      .from('fact_budgets')
+      .update(updateData)
+      .eq('budget_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .select(BUDGET_SELECT)
+      .single();
+
+    if (error || !budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const [result] = await withStatus(req.user.userId, [budget]);
+
+    res.json({ success: true, budget: result });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget', message: error.message });
+  }
+});
+
+// ============================================
+// Delete budget
+// ============================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('fact_budgets')
+      .delete()
+      .eq('budget_id', req.params.id)
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ error: 'Failed to delete budget', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,504 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { findCategoryId } = require('../lib/dimensions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('categories:read', 'categories:write'));
+
+// Schema for dim_category / dim_category_override is described in lib/dimensions.js.
+// System categories (user_id null) are never modified: editing one creates the
+// user's own copy and re-points that user's rows to it.
+
+const CATEGORY_SELECT = 'category_id, category_name, user_id, parent_category_id, category_type, icon_name, color_code';
+
+// Tables whose rows carry a user's category_id
+const CATEGORY_TABLES = {
+  expenses: 'fact_expenses',
+  receipts: 'fact_receipts',
+  items: 'fact_receipt_items',
+  recurring: 'fact_recurring_expenses'
+};
+
+function mapCategory(category) {
+  return {
+    id: category.category_id,
+    category_id: category.category_id,
+    name: category.category_name,
+    category_name: category.category_name,
+    parent_id: category.parent_category_id,
+    category_type: category.category_type,
+    icon_name: category.icon_name,
+    color_code: category.color_code,
+    is_system: category.user_id === null
+  };
+}
+
+// ============================================
+// HELPER: System + own categories, minus system ones the user replaced
+// ============================================
+async function getVisibleCategories(userId) {
+  const [categoriesResult, overridesResult] = await Promise.all([
+    supabase
+      .from('dim_category')
+      .select(CATEGORY_SELECT)
+      .or(`user_id.eq.${userId},user_id.is.null`)
+      .order('category_name', { ascending: true }),
+    supabase
+      .from('dim_category_override')
+      .select('category_id, replacement_category_id')
+      .eq('user_id', userId)
+  ]);
+
+  if (categoriesResult.error) throw categoriesResult.error;
+  if (overridesResult.error) throw overridesResult.error;
+
+  const replaced = new Map(overridesResult.data.map(o => [o.category_id, o.replacement_category_id]));
+
+  return categoriesResult.data
+    .filter(c => !replaced.has(c.category_id))
+    .map(c => (replaced.has(c.parent_category_id)
+      ? { ...c, parent_category_id: replaced.get(c.parent_category_id) }
+      : c));
+}
+
+// ============================================
+// HELPER: A single category the user can see, or null
+// ============================================
+async function getCategory(categoryId, userId) {
+  const categories = await getVisibleCategories(userId);
+  return categories.find(c => String(c.category_id) === String(categoryId)) || null;
+}
+
+// ============================================
+// HELPER: Validate name/parent/icon/color/type, returns { error } or { data }
+// `category` is the row being edited (null when creating)
+// ============================================
+async function buildCategoryData(body, userId, category = null) {
+  const { name, parentId, icon, color, type } = body;
+  const data = {};
+
+  if (name !== undefined || !category) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > 50) {
+      return { error: 'name is required (max 50 characters)' };
+    }
+
+    const existingId = await findCategoryId(trimmed, userId);
+    if (existingId && (!category || String(existingId) !== String(category.category_id))) {
+      return { error: 'Category already exists', status: 409, category_id: existingId };
+    }
+    data.category_name = trimmed;
+  }
+
+  if (parentId !== undefined) {
+    if (parentId === null || parentId === '') {
+      data.parent_category_id = null;
+    } else {
+      const parent = await getCategory(parentId, userId);
+      if (!parent) return { error: 'Parent category not found', status: 404 };
+      if (parent.parent_category_id !== null) {
+        return { error: 'Subcategories cannot have subcategories' };
+      }
+      if (category) {
+        if (String(parent.category_id) === String(category.category_id)) {
+          return { error: 'A category cannot be its own parent' };
+        }
+        const categories = await getVisibleCategories(userId);
+        if (categories.some(c => String(c.parent_category_id) === String(category.category_id))) {
+          return { error: 'A category with subcategories cannot become a subcategory' };
+        }
+      }
+      data.parent_category_id = parent.category_id;
+    }
+  }
+
+  if (icon !== undefined) {
+    if (icon !== null && (typeof icon !== 'string' || icon.length > 50)) {
+      return { error: 'icon must be a string (max 50 characters)' };
+    }
+    data.icon_name = icon || null;
+  }
+
+  if (color !== undefined) {
+    if (color !== null && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return { error: 'color must be a hex color like #FF8800' };
+    }
+    data.color_code = color || null;
+  }
+
+  if (type !== undefined) {
+    if (type !== null && (typeof type !== 'string' || type.length > 30)) {
+      return { error: 'type must be a string (max 30 characters)' };
+    }
+    data.category_type = type || null;
+  }
+
+  return { data };
+}
+
+// ============================================
+// HELPER: Move a user's rows (and subcategories) from one category to another
+// Supabase has no transactions; each step is idempotent so a failed
+// merge can simply be retried.
+// ============================================
+async function repointCategory(userId, fromId, toId) {
+  const moved = {};
+
+  for (const [key, table] of Object.entries(CATEGORY_TABLES)) {
+    const { count, error } = await supabase
+      .from(table)
+      .update({ category_id: toId }, { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('category_id', fromId);
+
+    if (error) throw error;
+    moved[key] = count || 0;
+  }
+
+  // Budgets are unique per category and period: keep the target's budget
+  // when both categories have one for the same period
+  const { data: budgets, error: budgetError } = await supabase
+    .from('fact_budgets')
+    .select('budget_id, category_id, start_date, end_date')
+    .eq('user_id', userId)
+    .in('category_id', [fromId, toId]);
+
+  if (budgetError) throw budgetError;
+
+  const targetPeriods = new Set(budgets
+    .filter(b => String(b.category_id) === String(toId))
+    .map(b => `${b.start_date}|${b.end_date}`));
+
+  const sourceBudgets = budgets.filter(b => String(b.category_id) === String(fromId));
+  const duplicateIds = sourceBudgets
+    .filter(b => targetPeriods.has(`${b.start_date}|${b.end_date}`))
+    .map(b => b.budget_id);
+  const movableIds = sourceBudgets
+    .filter(b => !duplicateIds.includes(b.budget_id))
+    .map(b => b.budget_id);
+
+  if (duplicateIds.length > 0) {
+    const { error } = await supabase.from('fact_budgets').delete().in('budget_id', duplicateIds);
+    if (error) throw error;
+  }
+  if (movableIds.length > 0) {
+    const { error } = await supabase.from('fact_budgets').update({ category_id: toId }).in('budget_id', movableIds);
+    if (error) throw error;
+  }
+  moved.budgets = movableIds.length;
+  moved.budgetsRemoved = duplicateIds.length;
+
+  const { error: childError } = await supabase
+    .from('dim_category')
+    .update({ parent_category_id: toId })
+    .eq('user_id', userId)
+    .eq('parent_category_id', fromId);
+
+  if (childError) throw childError;
+
+  // Earlier overrides that pointed at the source now point at the target
+  const { error: overrideError } = await supabase
+    .from('dim_category_override')
+    .update({ replacement_category_id: toId })
+    .eq('user_id', userId)
+    .eq('replacement_category_id', fromId);
+
+  if (overrideError) throw overrideError;
+
+  return moved;
+}
+
+// ============================================
+// HELPER: Hide a system category for a user, resolving it to a replacement
+// ============================================
+async function overrideSystemCategory(userId, categoryId, replacementId) {
+  const { error } = await supabase
+    .from('dim_category_override')
+    .upsert([{
+      user_id: userId,
+      category_id: categoryId,
+      replacement_category_id: replacementId
+    }], { onConflict: 'user_id,category_id' });
+
+  if (error) throw error;
+}
+
+// ============================================
+// List categories (system defaults + own), flat and as a tree
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const categories = (await getVisibleCategories(req.user.userId)).map(mapCategory);
+
+    const tree = categories
+      .filter(c => c.parent_id === null)
+      .map(c => ({ ...c, children: categories.filter(child => String(child.parent_id) === String(c.id)) }));
+
+    res.json({
+      success: true,
+      categories,
+      tree,
+      count: categories.length
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories', message: error.message });
+  }
+});
+
+// ============================================
+// Get single category with its subcategories
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const categories = await getVisibleCategories(req.user.userId);
+    const category = categories.find(c => String(c.category_id) === String(req.params.id));
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({
+      success: true,
+      category: {
+        ...mapCategory(category),
+        children: categories
+          .filter(c => String(c.parent_category_id) === String(category.category_id))
+          .map(mapCategory)
+      }
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({ error: 'Failed to fetch category', message: error.message });
+  }
+});
+
+// ============================================
+// Create category
+// Body: { name, parentId?, icon?, color?, type? }
+// ============================================
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await buildCategoryData(req.body, req.user.userId);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, category_id: result.category_id });
+    }
+
+    const { data: category, error } = await supabase
+      .from('dim_category')
+      .insert([{ ...result.data, user_id: req.user.userId }])
+      .select(CATEGORY_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    console.log('✅ Category created:', category.category_id);
+
+    res.status(201).json({ success: true, category: mapCategory(category) });
+  } catch (error) {
+    console.error('❌ Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category', message: error.message });
+  }
+});
+
+// ============================================
+// Update category (rename, move, icon/color/type)
+// Editing a system category creates the user's own copy and re-points
+// their expenses, receipts, items, recurring templates and budgets to it
+// ============================================
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const category = await getCategory(req.params.id, userId);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await buildCategoryData(req.body, userId, category);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, category_id: result.category_id });
+    }
+
+    if (category.user_id !== null) {
+      const { data: updated, error } = await supabase
+        .from('dim_category')
+        .update(result.data)
+        .eq('category_id', category.category_id)
+        .eq('user_id', userId)
+        .select(CATEGORY_SELECT)
+        .single();
+
+      if (error) throw error;
+
+      return res.json({ success: true, category: mapCategory(updated) });
+    }
+
+    // System category: fork it for this user
+    const { data: fork, error } = await supabase
+      .from('dim_category')
+      .insert([{
+        category_name: category.category_name,
+        parent_category_id: category.parent_category_id,
+        category_type: category.category_type,
+        icon_name: category.icon_name,
+        color_code: category.color_code,
+        ...result.data,
+        user_id: userId
+      }])
+      .select(CATEGORY_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    const moved = await repointCategory(userId, category.category_id, fork.category_id);
+    await overrideSystemCategory(userId, category.category_id, fork.category_id);
+
+    console.log('✅ System category customized:', { from: category.category_id, to: fork.category_id, moved });
+
+    res.json({
+      success: true,
+      category: mapCategory(fork),
+      replaced: category.category_id,
+      moved
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category', message: error.message });
+  }
+});
+
+// ============================================
+// Merge a category into another
+// Body: { targetId }
+// All of the user's rows move to the target; an own source category is
+// deleted, a system one is hidden for this user
+// ============================================
+router.post('/:id/merge', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { targetId } = req.body;
+
+    if (!targetId) {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+    if (String(targetId) === String(req.params.id)) {
+      return res.status(400).json({ error: 'Cannot merge a category into itself' });
+    }
+
+    const categories = await getVisibleCategories(userId);
+    const source = categories.find(c => String(c.category_id) === String(req.params.id));
+    const target = categories.find(c => String(c.category_id) === String(targetId));
+
+    if (!source) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Target category not found' });
+    }
+    if (String(target.parent_category_id) === String(source.category_id)) {
+      return res.status(400).json({ error: 'Cannot merge a category into its own subcategory' });
+    }
+    if (target.parent_category_id !== null
+      && categories.some(c => String(c.parent_category_id) === String(source.category_id))) {
+      return res.status(400).json({ error: 'A category with subcategories can only be merged into a top-level category' });
+    }
+
+    const moved = await repointCategory(userId, source.category_id, target.category_id);
+
+    if (source.user_id === null) {
+      await overrideSystemCategory(userId, source.category_id, target.category_id);
+    } else {
+      const { error } = await supabase
+        .from('dim_category')
+        .delete()
+        .eq('category_id', source.category_id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+    }
+
+    console.log('✅ Categories merged:', { from: source.category_id, to: target.category_id, moved });
+
+    res.json({
+      success: true,
+      category: mapCategory(target),
+      merged: source.category_id,
+      moved
+    });
+  } catch (error) {
+    console.error('❌ Merge category error:', error);
+    res.status(500).json({ error: 'Failed to merge categories', message: error.message });
+  }
+});
+
+// ============================================
+// Delete an own, unused category
+// ============================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const categories = await getVisibleCategories(userId);
+    const category = categories.find(c => String(c.category_id) === String(req.params.id));
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (category.user_id === null) {
+      return res.status(403).json({ error: 'System categories cannot be deleted, merge it into another category instead' });
+    }
+    if (categories.some(c => String(c.parent_category_id) === String(category.category_id))) {
+      return res.status(409).json({ error: 'Category has subcategories' });
+    }
+
+    const usage = {};
+    for (const [key, table] of Object.entries({ ...CATEGORY_TABLES, budgets: 'fact_budgets' })) {
+      const { count, error } = await supabase
+        .from(table)
+        .select('category_id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('category_id', category.category_id);
+
+      if (error) throw error;
+      usage[key] = count || 0;
+    }
+
+    if (Object.values(usage).some(count => count > 0)) {
+      return res.status(409).json({
+        error: 'Category is in use, merge it into another category instead',
+        usage
+      });
+    }
+
+    // A system category this one replaced becomes visible again
+    const { error: overrideError } = await supabase
+      .from('dim_category_override')
+      .delete()
+      .eq('user_id', userId)
+      .eq('replacement_category_id', category.category_id);
+
+    if (overrideError) throw overrideError;
+
+    const { error } = await supabase
+      .from('dim_category')
+      .delete()
+      .eq('category_id', category.category_id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const {
+  normalizeCurrency,
+  getHomeCurrency,
+  parseRatesFile,
+  saveRates,
+  createConverter
+} = require('../lib/currency');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('currency:read', 'currency:write'));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
+});
+
+// ============================================
+// HELPER: Rate uploads require X-Admin-Key: <ADMIN_API_KEY> (scripts, cron)
+// or a signed-in admin
+// ============================================
+const requireAdminKey = (req, res, next) => {
+  if (process.env.ADMIN_API_KEY && req.headers['x-admin-key'] === process.env.ADMIN_API_KEY) {
+    return next();
+  }
+  if (!req.headers['authorization']) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  authenticateToken(req, res, () => authenticateToken.requireAdmin(req, res, next));
+};
+
+// ============================================
+// Get home currency
+// ============================================
+router.get('/home', authenticateToken, async (req, res) => {
+  try {
+    const currency = await getHomeCurrency(req.user.userId);
+    res.json({ success: true, currency });
+  } catch (error) {
+    console.error('Get home currency error:', error);
+    res.status(500).json({ error: 'Failed to fetch home currency', message: error.message });
+  }
+});
+
+// ============================================
+// Set home currency (analytics are reported in it)
+// ============================================
+router.put('/home', authenticateToken, async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+    }
+
+    const { error } = await supabase
+      .from('dim_user')
+      .update({ home_currency: currency })
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    console.log('✅ Home currency set:', { userId: req.user.userId, currency });
+
+    res.json({ success: true, currency });
+  } catch (error) {
+    console.error('Set home currency error:', error);
+    res.status(500).json({ error: 'Failed to update home currency', message: error.message });
+  }
+});
+
+// ============================================
+// List stored rates
+// Query: base, quote, startDate, endDate, limit
+// ============================================
+router.get('/rates', authenticateToken, async (req, res) => {
+  try {
+    const { base, quote, startDate, endDate, limit = 100 } = req.query;
+
+    let query = supabase
+      .from('dim_exchange_rate')
+      .select('rate_date, base_currency, quote_currency, rate, source')
+      .order('rate_date', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 1000));
+
+    if (base) query = query.eq('base_currency', normalizeCurrency(base));
+    if (quote) query = query.eq('quote_currency', normalizeCurrency(quote));
+    if (startDate) query = query.gte('rate_date', startDate);
+    if (endDate) query = query.lte('rate_date', endDate);
+
+    const { data: rates, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, rates, count: rates.length });
+  } catch (error) {
+    console.error('Get rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates', message: error.message });
+  }
+});
+
+// ============================================
+// Load rates (admin)
+// JSON body { rates: [{ date, base, quote, rate }] } or { base, date, rates: { XXX: n } },
+// or multipart "file" (JSON or CSV: date,base,quote,rate)
+// ============================================
+router.post('/rates', requireAdminKey, upload.single('file'), async (req, res) => {
+  try {
+    let text;
+    if (req.file) {
+      text = req.file.buffer.toString('utf8');
+    } else if (Array.isArray(req.body.rates)) {
+      text = JSON.stringify(req.body.rates);
+    } else {
+      text = JSON.stringify(req.body);
+    }
+
+    let parsed;
+    try {
+      parsed = parseRatesFile(text);
+    } catch (e) {
+      return res.status(400).json({ error: 'Could not parse rates', message: e.message });
+    }
+
+    if (parsed.rates.length === 0) {
+      return res.status(400).json({ error: 'No valid rates found', errors: parsed.errors });
+    }
+
+    const saved = await saveRates(parsed.rates, req.file ? 'file' : 'admin');
+
+    console.log(`✅ Loaded ${saved} exchange rates`);
+
+    res.status(201).json({ success: true, saved, errors: parsed.errors });
+  } catch (error) {
+    console.error('❌ Load rates error:', error);
+    res.status(500).json({ error: 'Failed to load exchange rates', message: error.message });
+  }
+});
+
+// ============================================
+// Convert an amount with the stored rates
+// Query: amount, from, to (default: home currency), date (default: today)
+// ============================================
+router.get('/convert', authenticateToken, async (req, res) => {
+  try {
+    const { amount, date } = req.query;
+    const from = normalizeCurrency(req.query.from);
+    const to = normalizeCurrency(req.query.to) || await getHomeCurrency(req.user.userId);
+
+    if (isNaN(parseFloat(amount)) || !from) {
+      return res.status(400).json({ error: 'amount and from are required' });
+    }
+
+    const converter = await createConverter(req.user.userId, [{ currency: from }], to);
+    const converted = converter.convertAmount(amount, from, date);
+
+    if (converted === null) {
+      return res.status(404).json({ error: 'No exchange rate available', from, to });
+    }
+
+    res.json({
+      success: true,
+      amount: parseFloat(amount),
+      from,
+      to,
+      converted: parseFloat(converted.toFixed(2)),
+      rate: parseFloat(amount) !== 0 ? converted / parseFloat(amount) : null
+    });
+  } catch (error) {
+    console.error('Convert error:', error);
+    res.status(500).json({ error: 'Failed to convert amount', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const { getHomeCurrency } = require('../lib/currency');
+const { checkWalletAccess, resolveExpenseTarget } = require('../lib/wallets');
+const { receiptImageUrl, saveScannedReceipt, linkScannedReceipt } = require('../lib/receipts');
+const {
+  draftImagePaths,
+  mapDraft,
+  normalizeDraftFields,
+  getDraft,
+  listDrafts,
+  updateDraft,
+  takeDraft,
+  restoreDraft,
+  purgeExpiredDrafts
+} = require('../lib/receiptDrafts');
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
+
+// Receipt scans waiting for review (see lib/receiptDrafts.js)
+// Mounted at /api/ocr/drafts
+
+// ============================================
+// Scheduled cleanup (e.g. Vercel Cron): delete expired drafts and their images
+// Requires Authorization: Bearer <CRON_SECRET>
+// ============================================
+router.get('/cron', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const purged = await purgeExpiredDrafts();
+    console.log('🧹 Expired receipt drafts removed:', purged);
+
+    res.json({ success: true, purged });
+  } catch (error) {
+    console.error('❌ Draft cleanup error:', error);
+    res.status(500).json({ error: 'Failed to purge drafts', message: error.message });
+  }
+});
+
+// ============================================
+// List drafts
+// Query: wallet=<walletId>|personal
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const drafts = await listDrafts(req.user.userId, { walletId: req.query.wallet });
+
+    res.json({ success: true, drafts: drafts.map(mapDraft), count: drafts.length });
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ error: 'Failed to fetch drafts', message: error.message });
+  }
+});
+
+// ============================================
+// Get single draft (with raw OCR text)
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const draft = await getDraft(req.params.id, req.user.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    res.json({ success: true, draft: mapDraft(draft) });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({ error: 'Failed to fetch draft', message: error.message });
+  }
+});
+
+// ============================================
+// Edit a draft
+// Body: store, amount, currency, date, category, description, paymentMethod,
+// items [{ name, price }], walletId (null for personal) - all optional
+// ============================================
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const normalized = normalizeDraftFields(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const fields = normalized.fields;
+
+    if (req.body.walletId !== undefined) {
+      if (req.body.walletId) {
+        const access = await checkWalletAccess(req.body.walletId, req.user.userId, 'editor');
+        if (access.error) {
+          return res.status(access.status).json({ error: access.error });
+        }
+      }
+      fields.wallet_id = req.body.walletId || null;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const draft = await updateDraft(req.params.id, req.user.userId, fields);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    res.json({ success: true, draft: mapDraft(draft) });
+  } catch (error) {
+    console.error('❌ Update draft error:', error);
+    res.status(500).json({ error: 'Failed to update draft', message: error.message });
+  }
+});
+
+// ============================================
+// Confirm a draft: creates the receipt, its expense and line items, then
+// removes the draft (its images move to the receipt)
+// Body: same fields as PUT to apply last edits, plus paidBy for wallet drafts
+// ============================================
+router.post('/:id/confirm', authenticateToken, async (req, res) => {
+  try {
+    const normalized = normalizeDraftFields(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const draft = await getDraft(req.params.id, req.user.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const final = { ...draft, ...normalized.fields };
+    const walletId = req.body.walletId !== undefined ? req.body.walletId || null : draft.wallet_id;
+
+    if (!(parseFloat(final.amount) > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than 0 to confirm' });
+    }
+
+    const target = await resolveExpenseTarget(req.user.userId, { walletId, paidBy: req.body.paidBy });
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    // Remove the draft first so a double submit can't create two expenses
+    const taken = await takeDraft(draft.draft_id, req.user.userId, { keepImage: true });
+    if (!taken) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const imageUrls = draftImagePaths(draft).map(receiptImageUrl);
+
+    let saved;
+    try {
+      saved = await saveScannedReceipt(target, {
+        merchant: final.merchant,
+        amount: final.amount,
+        currency: final.currency || target.currency || await getHomeCurrency(req.user.userId),
+        date: final.date,
+        category: final.category,
+        description: final.description,
+        paymentMethod: final.payment_method,
+        items: final.items,
+        imageUrl: imageUrls[0] || null,
+        imageUrls,
+        thumbnailUrl: draft.thumbnail_path ? receiptImageUrl(draft.thumbnail_path) : null,
+        imageHash: draft.image_hash
+      });
+    } catch (error) {
+      await restoreDraft(taken);
+      throw error;
+    }
+
+    if (saved.error) {
+      await restoreDraft(taken);
+      return res.status(saved.status).json({ error: saved.error });
+    }
+
+    console.log('✅ Draft confirmed:', draft.draft_id, '->', saved.receipt.receipt_id);
+
+    res.status(201).json({
+      success: true,
+      message: saved.expense
+        ? 'Draft confirmed and expense created successfully'
+        : 'Receipt stored but the expense could not be created',
+      receipt_id: saved.receipt.receipt_id,
+      expense: saved.expense
+    });
+  } catch (error) {
+    console.error('❌ Confirm draft error:', error);
+    res.status(500).json({ error: 'Failed to confirm draft', message: error.message });
+  }
+});
+
+// ============================================
+// Attach a draft to an existing expense instead of creating a new one (the
+// draft matched an expense typed in by hand, see draft.duplicates)
+// Body: expenseId - an expense without a receipt the user can edit
+// ============================================
+router.post('/:id/link', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.expenseId) {
+      return res.status(400).json({ error: 'expenseId is required' });
+    }
+
+    const draft = await getDraft(req.params.id, req.user.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const taken = await takeDraft(draft.draft_id, req.user.userId, { keepImage: true });
+    if (!taken) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const imageUrls = draftImagePaths(draft).map(receiptImageUrl);
+
+    let linked;
+    try {
+      linked = await linkScannedReceipt(req.user.userId, req.body.expenseId, {
+        items: draft.items,
+        imageUrl: imageUrls[0] || null,
+        imageUrls,
+        thumbnailUrl: draft.thumbnail_path ? receiptImageUrl(draft.thumbnail_path) : null,
+        imageHash: draft.image_hash
+      });
+    } catch (error) {
+      await restoreDraft(taken);
+      throw error;
+    }
+
+    if (linked.error) {
+      await restoreDraft(taken);
+      return res.status(linked.status).json({ error: linked.error });
+    }
+
+    console.log('🔗 Draft linked:', draft.draft_id, '->', linked.expense.expense_id);
+
+    res.json({
+      success: true,
+      message: 'Receipt attached to the expense',
+      receipt_id: linked.receipt.receipt_id,
+      expense: linked.expense
+    });
+  } catch (error) {
+    console.error('❌ Link draft error:', error);
+    res.status(500).json({ error: 'Failed to link draft', message: error.message });
+  }
+});
+
+// ============================================
+// Discard a draft and its images
+// ============================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const draft = await takeDraft(req.params.id, req.user.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    console.log('🗑️ Draft discarded:', draft.draft_id);
+
+    res.json({ success: true, message: 'Draft discarded' });
+  } catch (error) {
+    console.error('❌ Delete draft error:', error);
+    res.status(500).json({ error: 'Failed to delete draft', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,160 +1,288 @@
 const express = require('express');
 const router = express.Router();
+const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const authenticateToken = require('../middleware/auth');
+const { normalizeTags, recordTags } = require('../lib/tags');
+const { findCategoryId, getSubcategoryIds, getOrCreateCategoryId, getOrCreateDateId } = require('../lib/dimensions');
+const { summarizeByCategory } = require('../lib/analytics');
+const { normalizeCurrency, getHomeCurrency, createConverter } = require('../lib/currency');
+const { toCSV, toXLSX, toPDF } = require('../lib/exporters');
+const { checkRowAccess, resolveWalletScope, resolveExpenseTarget, getMemberNames } = require('../lib/wallets');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
+
 // ============================================
-// HELPER: Get or create category_id
+// HELPER: Columns returned by the list and export endpoints
 // ============================================
-async function getOrCreateCategoryId(categoryName) {
-  try {
-    if (!categoryName) return null;
-
-    // Check if exists
-    const { data: existing } = await supabase
-      .from('dim_category')
-      .select('category_id')
-      .eq('category_name', categoryName)
-      .single();
+const EXPENSE_LIST_SELECT = `
+  expense_id,
+  user_id,
+  wallet_id,
+  amount,
+  currency,
+  description,
+  payment_method,
+  tags,
+  receipt_id,
+  store_id,
+  date_id,
+  created_at,
+  updated_at,
+  dim_category!fact_expenses_category_id_fkey(category_name),
+  dim_date!fact_expenses_date_id_fkey(date_id)
+`;
 
-    if (existing) return existing.category_id;
-
-    // Create if doesn't exist
-    const { data: newCategory, error } = await supabase
-      .from('dim_category')
-      .insert([{ category_name: categoryName }])
-      .select('category_id')
-      .single();
+// ============================================
+// HELPER: category_ids (with subcategories) a category name filter matches
+// Categories are per user, so in a wallet the name is resolved for every
+// member - each has their own "Food"
+// ============================================
+async function resolveCategoryFilter(category, userId, walletId) {
+  let userIds = [userId];
+  if (walletId) {
+    const { data: members, error } = await supabase
+      .from('fact_wallet_members')
+      .select('user_id')
+      .eq('wallet_id', walletId);
 
     if (error) throw error;
-    return newCategory.category_id;
-  } catch (error) {
-    console.error('Category error:', error);
-    return null;
+    userIds = members.map(m => m.user_id);
+  }
+
+  const categoryIds = new Set();
+  for (const memberId of userIds) {
+    const categoryId = await findCategoryId(category, memberId);
+    if (!categoryId) continue;
+    (await getSubcategoryIds(categoryId, memberId)).forEach(id => categoryIds.add(id));
   }
+  return [...categoryIds];
 }
 
 // ============================================
-// HELPER: Get or create date_id
+// HELPER: Apply the list filters to a query
+// category (includes its subcategories), startDate, endDate, minAmount, maxAmount,
+// tags (comma separated) + tagMode ('any' | 'all', default any),
+// payment_method (comma separated), store_id, q (description/merchant search)
+// Shared by GET / and GET /export so both return the same rows
+// walletId: the ?wallet= being listed, if any
 // ============================================
-async function getOrCreateDateId(dateString) {
-  try {
-    const date = new Date(dateString);
-    
-    // Check if exists
-    const { data: existing } = await supabase
-      .from('dim_date')
-      .select('date_id')
-      .eq('date_id', dateString)
-      .single();
+async function applyExpenseFilters(query, filters, userId, walletId = null) {
+  const { category, startDate, endDate, minAmount, maxAmount, payment_method, store_id, tags, tagMode, q } = filters;
 
-    if (existing) return dateString;
+  if (category) {
+    // Find category_ids first; an unknown category matches nothing
+    query = query.in('category_id', await resolveCategoryFilter(category, userId, walletId));
+  }
 
-    // Create if doesn't exist
-    const { error } = await supabase
-      .from('dim_date')
-      .insert([{
-        date_id: dateString,
-        day_of_month: date.getDate(),
-        month: date.getMonth() + 1,
-        year: date.getFullYear(),
-        day_of_week: date.getDay() + 1,
-        day_name: date.toLocaleDateString('en-US', { weekday: 'long' }),
-        month_name: date.toLocaleDateString('en-US', { month: 'long' }),
-        quarter: Math.floor(date.getMonth() / 3) + 1,
-        week: Math.ceil(date.getDate() / 7),
-        is_weekend: date.getDay() === 0 || date.getDay() === 6,
-        is_holiday: false
-      }]);
+  if (startDate) query = query.gte('date_id', startDate);
+  if (endDate) query = query.lte('date_id', endDate);
 
-    if (error) throw error;
-    return dateString;
-  } catch (error) {
-    console.error('Date error:', error);
+  if (minAmount !== undefined && minAmount !== '' && !isNaN(parseFloat(minAmount))) {
+    query = query.gte('amount', parseFloat(minAmount));
+  }
+  if (maxAmount !== undefined && maxAmount !== '' && !isNaN(parseFloat(maxAmount))) {
+    query = query.lte('amount', parseFloat(maxAmount));
+  }
+
+  if (payment_method) {
+    const methods = String(payment_method).split(',').map(m => m.trim()).filter(Boolean);
+    if (methods.length > 0) query = query.in('payment_method', methods);
+  }
+
+  if (store_id) query = query.eq('store_id', store_id);
+
+  const tagList = normalizeTags(tags);
+  if (tagList) {
+    query = tagMode === 'all' ? query.contains('tags', tagList) : query.overlaps('tags', tagList);
+  }
+
+  if (q && String(q).trim()) {
+    // Strip characters that have meaning inside a PostgREST or() filter
+    const term = String(q).trim().replace(/[,()*%"\\]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    if (term) {
+      // Merchant names live in dim_store, so match those first
+      const { data: stores } = await supabase
+        .from('dim_store')
+        .select('store_id')
+        .ilike('store_name', `%${term}%`)
+        .limit(100);
+
+      const conditions = [`description.ilike."*${term}*"`];
+      if (stores && stores.length > 0) {
+        conditions.push(`store_id.in.(${stores.map(st => st.store_id).join(',')})`);
+      }
+      query = query.or(conditions.join(','));
+    }
+  }
+
+  return query;
+}
+
+// ============================================
+// HELPER: Sorting and cursor pagination for GET /
+// The cursor encodes the last row's sort value + expense_id (keyset pagination)
+// ============================================
+const SORT_COLUMNS = {
+  date: 'date_id',
+  amount: 'amount',
+  created_at: 'created_at'
+};
+
+function encodeCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify({
+    s: sort,
+    o: order,
+    v: row[SORT_COLUMNS[sort]],
+    id: row.expense_id
+  })).toString('base64url');
+}
+
+// The cursor's values end up inside an or() filter string, so only accept
+// what encodeCursor can produce for each sort
+const CURSOR_ID = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const CURSOR_VALUES = {
+  date: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v),
+  amount: (v) => (typeof v === 'number' && isFinite(v)) || (typeof v === 'string' && /^-?\d+(\.\d+)?$/.test(v)),
+  created_at: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v)
+};
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.s !== sort || decoded.o !== order) return null;
+    if (!CURSOR_ID.test(String(decoded.id)) || !CURSOR_VALUES[sort](decoded.v)) return null;
+    return decoded;
+  } catch (e) {
     return null;
   }
 }
 
+// ============================================
+// HELPER: Map a fact_expenses row to a consistent format with proper field names
+// In a wallet user_id is the member who paid; `payerNames` (user_id -> name)
+// adds their name for wallet lists
+// ============================================
+function mapExpense(exp, payerNames = null) {
+  return {
+    id: exp.expense_id,
+    expense_id: exp.expense_id,
+    user_id: exp.user_id,
+    wallet_id: exp.wallet_id || null,
+    paid_by: exp.user_id,
+    paid_by_name: payerNames ? payerNames[String(exp.user_id)] || null : undefined,
+    amount: exp.amount,
+    currency: exp.currency,
+    category: exp.dim_category?.category_name || 'Other',
+    dim_category: exp.dim_category,
+    description: exp.description,
+    date: exp.dim_date?.date_id,
+    date_id: exp.dim_date?.date_id,
+    dim_date: exp.dim_date,
+    payment_method: exp.payment_method,
+    tags: exp.tags,
+    receipt_id: exp.receipt_id,
+    store_id: exp.store_id,
+    created_at: exp.created_at,
+    updated_at: exp.updated_at
+  };
+}
+
 // ============================================
 // 🔥 FIXED: Get all expenses (ONLY from fact_expenses)
+// Query: filters (see applyExpenseFilters), sort=date|amount|created_at,
+// order=asc|desc, limit (max 500), cursor (nextCursor from the previous page),
+// wallet=<walletId>|personal (see lib/wallets.js resolveWalletScope)
 // ============================================
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { category, startDate, endDate, limit = 100 } = req.query;
+    const { sort = 'date', order = 'desc', cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    if (!SORT_COLUMNS[sort]) {
+      return res.status(400).json({ error: 'Invalid sort', allowed: Object.keys(SORT_COLUMNS) });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Invalid order', allowed: ['asc', 'desc'] });
+    }
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor, sort, order);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    const scope = await resolveWalletScope(req.query.wallet, userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
 
     console.log('📊 Fetching expenses for user:', userId);
 
+    const column = SORT_COLUMNS[sort];
+    const ascending = order === 'asc';
+
     // 🔥 FIX: Query ONLY fact_expenses (receipts are linked via receipt_id)
-    let query = supabase
+    let query = scope.apply(supabase
       .from('fact_expenses')
-      .select(`
-        expense_id,
-        user_id,
-        amount,
-        description,
-        payment_method,
-        tags,
-        receipt_id,
-        store_id,
-        created_at,
-        updated_at,
-        dim_category!fact_expenses_category_id_fkey(category_name),
-        dim_date!fact_expenses_date_id_fkey(date_id)
-      `)
-      .eq('user_id', userId)
-      .order('date_id', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (category) {
-      // Find category_id first
-      const categoryId = await getOrCreateCategoryId(category);
-      if (categoryId) {
-        query = query.eq('category_id', categoryId);
-      }
+      .select(EXPENSE_LIST_SELECT))
+      .order(column, { ascending })
+      .order('expense_id', { ascending })
+      .limit(limit + 1);
+
+    query = await applyExpenseFilters(query, req.query, userId, scope.wallet?.wallet_id);
+
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      query = query.or(
+        `${column}.${op}."${after.v}",and(${column}.eq."${after.v}",expense_id.${op}.${after.id})`
+      );
     }
-    
-    if (startDate) query = query.gte('date_id', startDate);
-    if (endDate) query = query.lte('date_id', endDate);
 
-    const { data: expenses, error } = await query;
+    // Total across all pages (same filters, no cursor)
+    const countQuery = await applyExpenseFilters(
+      scope.apply(supabase
+        .from('fact_expenses')
+        .select('expense_id', { count: 'exact', head: true })),
+      req.query,
+      userId,
+      scope.wallet?.wallet_id
+    );
 
-    if (error) {
-      console.error('❌ Query error:', error);
-      throw error;
+    const [{ data: expenses, error }, { count, error: countError }] = await Promise.all([query, countQuery]);
+
+    if (error || countError) {
+      console.error('❌ Query error:', error || countError);
+      throw error || countError;
     }
 
-    console.log(`✅ Fetched ${expenses.length} expenses from fact_expenses only`);
-
-    // 🔥 Map to consistent format with proper field names
-    const mappedExpenses = expenses.map(exp => ({
-      id: exp.expense_id,
-      expense_id: exp.expense_id,
-      user_id: exp.user_id,
-      amount: exp.amount,
-      category: exp.dim_category?.category_name || 'Other',
-      dim_category: exp.dim_category,
-      description: exp.description,
-      date: exp.dim_date?.date_id,
-      date_id: exp.dim_date?.date_id,
-      dim_date: exp.dim_date,
-      payment_method: exp.payment_method,
-      tags: exp.tags,
-      receipt_id: exp.receipt_id,
-      store_id: exp.store_id,
-      created_at: exp.created_at,
-      updated_at: exp.updated_at
-    }));
+    const hasMore = expenses.length > limit;
+    const page = hasMore ? expenses.slice(0, limit) : expenses;
+
+    console.log(`✅ Fetched ${page.length} expenses from fact_expenses only`);
+
+    // Who paid, for shared wallets
+    const payerNames = scope.wallet ? await getMemberNames(page.map(exp => exp.user_id)) : null;
+    const mappedExpenses = page.map(exp => mapExpense(exp, payerNames));
 
     res.json({ 
       success: true, 
       expenses: mappedExpenses, 
-      count: mappedExpenses.length 
+      count: mappedExpenses.length,
+      wallet: scope.wallet,
+      total: count,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null
     });
   } catch (error) {
     console.error('❌ Get expenses error:', error);
@@ -162,24 +290,184 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// Export expenses as CSV, XLSX or PDF
+// Query: format=csv|xlsx|pdf, same filters as GET /, includeReceipts=true (PDF only)
+// Declared before /:id so "export" isn't treated as an expense id
+// ============================================
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+const EXPORT_PAGE_SIZE = 1000;
+const MAX_EXPORT_RECEIPT_IMAGES = 50;
+// Receipt images download a few at a time, and whatever isn't in by the
+// deadline is left out so the export fits in a serverless invocation
+const RECEIPT_DOWNLOAD_CONCURRENCY = 5;
+const RECEIPT_DOWNLOAD_TIMEOUT_MS = 5000;
+const RECEIPT_DOWNLOAD_DEADLINE_MS = 15000;
+
+async function fetchReceiptImages(scope, receiptIds) {
+  if (receiptIds.length === 0) return [];
+
+  const { data: receipts, error } = await scope.apply(supabase
+    .from('fact_receipts')
+    .select('receipt_id, image_url'))
+    .in('receipt_id', receiptIds.slice(0, MAX_EXPORT_RECEIPT_IMAGES));
+
+  if (error) throw error;
+
+  const pending = receipts.filter(receipt => receipt.image_url);
+  const images = new Array(pending.length).fill(null);
+
+  const deadline = new AbortController();
+  const timer = setTimeout(() => deadline.abort(), RECEIPT_DOWNLOAD_DEADLINE_MS);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length && !deadline.signal.aborted) {
+      const index = next++;
+      const receipt = pending[index];
+      try {
+        const response = await axios.get(receipt.image_url, {
+          responseType: 'arraybuffer',
+          timeout: RECEIPT_DOWNLOAD_TIMEOUT_MS,
+          signal: deadline.signal
+        });
+        // PDFKit can only embed JPEG and PNG
+        if (/image\/(jpe?g|png)/i.test(response.headers['content-type'] || '')) {
+          images[index] = { receipt_id: receipt.receipt_id, buffer: Buffer.from(response.data) };
+        }
+      } catch (error) {
+        console.error('⚠️ Could not download receipt image:', receipt.receipt_id, error.message);
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: RECEIPT_DOWNLOAD_CONCURRENCY }, worker));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (deadline.signal.aborted) {
+    console.warn('⚠️ Receipt image deadline reached, exporting without the rest');
+  }
+
+  return images.filter(Boolean);
+}
+
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const format = (req.query.format || 'csv').toLowerCase();
+    const { startDate, endDate, includeReceipts } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Invalid format', allowed: Object.keys(EXPORT_FORMATS) });
+    }
+
+    const scope = await resolveWalletScope(req.query.wallet, userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    console.log('📤 Exporting expenses:', { userId, format });
+
+    // Page through everything - exports are not capped by `limit`
+    const rows = [];
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      let query = scope.apply(supabase
+        .from('fact_expenses')
+        .select(EXPENSE_LIST_SELECT))
+        .order('date_id', { ascending: true })
+        .order('expense_id', { ascending: true })
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+      query = await applyExpenseFilters(query, req.query, req.user.userId, scope.wallet?.wallet_id);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      rows.push(...data);
+      if (data.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    const payerNames = scope.wallet ? await getMemberNames(rows.map(exp => exp.user_id)) : null;
+    const expenses = rows.map(exp => mapExpense(exp, payerNames));
+    const fileName = `xpnse-expenses-${startDate || 'all'}-to-${endDate || new Date().toISOString().split('T')[0]}.${format}`;
+
+    let body;
+    if (format === 'csv') {
+      body = toCSV(expenses);
+    } else if (format === 'xlsx') {
+      const converter = await createConverter(userId, rows, scope.currency);
+      body = await toXLSX(expenses, { ...summarizeByCategory(converter.convertRows(rows)), currency: converter.currency });
+    } else {
+      const { data: user } = await supabase
+        .from('dim_user')
+        .select('full_name')
+        .eq('user_id', userId)
+        .single();
+
+      const receipts = includeReceipts === 'true'
+        ? await fetchReceiptImages(scope, [...new Set(expenses.map(e => e.receipt_id).filter(Boolean))])
+        : [];
+
+      const converter = await createConverter(userId, rows, scope.currency);
+      body = await toPDF(expenses, { ...summarizeByCategory(converter.convertRows(rows)), currency: converter.currency }, {
+        period: { startDate, endDate },
+        userName: user?.full_name,
+        receipts
+      });
+    }
+
+    console.log(`✅ Exported ${expenses.length} expenses as ${format}`);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('❌ Export expenses error:', error);
+    res.status(500).json({ error: 'Failed to export expenses', message: error.message });
+  }
+});
+
+// ============================================
+// HELPER: Load an expense the current user may read (or change, with write)
+// Returns { expense } or { error, status }
+// ============================================
+async function getAccessibleExpense(expenseId, userId, write = false) {
+  const { data: expense } = await supabase
+    .from('fact_expenses')
+    .select(`
+      *,
+      dim_category!fact_expenses_category_id_fkey(category_name),
+      dim_date!fact_expenses_date_id_fkey(date_id)
+    `)
+    .eq('expense_id', expenseId)
+    .maybeSingle();
+
+  const access = await checkRowAccess(expense, userId, { write, notFound: 'Expense not found' });
+  return access.error ? access : { expense, role: access.role };
+}
+
 // ============================================
 // Get single expense (with dimension joins)
+// Wallet expenses are visible to every member of the wallet
 // ============================================
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const { data: expense, error } = await supabase
-      .from('fact_expenses')
-      .select(`
-        *,
-        dim_category!fact_expenses_category_id_fkey(category_name),
-        dim_date!fact_expenses_date_id_fkey(date_id)
-      `)
-      .eq('expense_id', req.params.id)
-      .eq('user_id', req.user.userId)
-      .single();
+    const result = await getAccessibleExpense(req.params.id, req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    if (error || !expense) {
-      return res.status(404).json({ error: 'Expense not found' });
+    const { expense } = result;
+    if (expense.wallet_id) {
+      const payerNames = await getMemberNames([expense.user_id]);
+      expense.paid_by_name = payerNames[String(expense.user_id)] || null;
     }
 
     res.json({ success: true, expense });
@@ -191,16 +479,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 // ============================================
 // 🔥 FIXED: Create expense (check for duplicate receipt_id)
+// walletId records it into a shared wallet (editor or owner); paidBy names
+// the member who paid (defaults to the caller)
 // ============================================
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { amount, category, description, date, payment_method, tags, receiptImage, receipt_id } = req.body;
+    const { amount, category, description, date, payment_method, tags, receiptImage, receipt_id, currency, walletId, paidBy } = req.body;
 
     if (!amount || !category || !date) {
       return res.status(400).json({ error: 'Amount, category, and date are required' });
     }
 
-    console.log('📝 Creating expense:', { amount, category, date, receipt_id });
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+      return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+    }
+
+    const target = await resolveExpenseTarget(req.user.userId, { walletId, paidBy });
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    console.log('📝 Creating expense:', { amount, category, date, receipt_id, walletId: target.wallet_id });
 
     // 🔥 CHECK: If receipt_id provided, check if expense already exists for this receipt
     if (receipt_id) {
@@ -221,7 +520,7 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     // Get/create dimension IDs
-    const categoryId = await getOrCreateCategoryId(category);
+    const categoryId = await getOrCreateCategoryId(category, req.user.userId);
     const dateId = await getOrCreateDateId(date);
 
     if (!categoryId || !dateId) {
@@ -234,13 +533,15 @@ router.post('/', authenticateToken, async (req, res) => {
     const { data: expense, error } = await supabase
       .from('fact_expenses')
       .insert([{
-        user_id: req.user.userId,
+        user_id: target.user_id,
+        wallet_id: target.wallet_id,
         amount: parseFloat(amount),
         category_id: categoryId,
         date_id: dateId,
         description: description || null,
         payment_method: payment_method || null,
-        tags: tags || null,
+        tags: normalizeTags(tags),
+        currency: normalizeCurrency(currency) || target.currency || await getHomeCurrency(req.user.userId),
         receipt_id: receipt_id || null  // 🔥 Link to receipt if provided
       }])
       .select(`
@@ -257,6 +558,8 @@ router.post('/', authenticateToken, async (req, res) => {
 
     console.log('✅ Expense created:', expense.expense_id);
 
+    await recordTags(req.user.userId, expense.tags);
+
     res.status(201).json({ success: true, expense });
   } catch (error) {
     console.error('❌ Create expense error:', error);
@@ -264,22 +567,344 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// Batch create/update/delete (all-or-nothing)
+// Body: { operations: [
+//   { op: 'create', data: { amount, category, date, description?, payment_method?, tags?, receipt_id?, walletId?, paidBy? } },
+//   { op: 'update', id, data: { amount?, category?, date?, description?, payment_method?, tags? } },
+//   { op: 'delete', id }
+// ] }
+// Everything is validated before anything is written. If a write fails,
+// already-applied changes are compensated (creates removed, updated and
+// deleted rows restored from a snapshot).
+// ============================================
+const BATCH_OPS = ['create', 'update', 'delete'];
+const MAX_BATCH_OPERATIONS = 200;
+const BATCH_UPDATABLE_FIELDS = ['amount', 'currency', 'category', 'date', 'description', 'payment_method', 'tags'];
+
+function validateBatchOperation(operation) {
+  if (!operation || !BATCH_OPS.includes(operation.op)) {
+    return `op must be one of: ${BATCH_OPS.join(', ')}`;
+  }
+
+  const data = operation.data || {};
+
+  if (operation.op !== 'create' && !operation.id) {
+    return 'id is required';
+  }
+
+  if (operation.op === 'create' && (!data.amount || !data.category || !data.date)) {
+    return 'Amount, category, and date are required';
+  }
+
+  if (operation.op === 'update' && !BATCH_UPDATABLE_FIELDS.some(field => data[field] !== undefined)) {
+    return `Nothing to update (allowed: ${BATCH_UPDATABLE_FIELDS.join(', ')})`;
+  }
+
+  if (operation.op !== 'delete') {
+    if (data.amount !== undefined && !(parseFloat(data.amount) > 0)) {
+      return 'amount must be a positive number';
+    }
+    if (data.date !== undefined && isNaN(new Date(data.date).getTime())) {
+      return 'Invalid date';
+    }
+    if (data.category !== undefined && !data.category) {
+      return 'category cannot be empty';
+    }
+    if (data.currency !== undefined && !normalizeCurrency(data.currency)) {
+      return 'Invalid currency';
+    }
+  }
+
+  return null;
+}
+
+router.post('/batch', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { operations } = req.body;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'operations must be a non-empty array' });
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Too many operations (max ${MAX_BATCH_OPERATIONS})` });
+  }
+
+  // Step 1: Validate every operation before touching the database
+  const errors = [];
+  const seenIds = new Set();
+
+  operations.forEach((operation, index) => {
+    const message = validateBatchOperation(operation);
+    if (message) {
+      errors.push({ index, error: message });
+      return;
+    }
+    if (operation.id) {
+      if (seenIds.has(operation.id)) {
+        errors.push({ index, error: 'Expense appears in more than one operation' });
+      }
+      seenIds.add(operation.id);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Batch validation failed', errors });
+  }
+
+  const applied = { created: [], snapshot: [] };
+
+  try {
+    // Step 2: Make sure the user may change every referenced expense
+    // (their own, or in a wallet where they are editor or owner)
+    // The snapshot doubles as the rollback copy for updates and deletes
+    const targetIds = operations.filter(o => o.op !== 'create').map(o => o.id);
+
+    if (targetIds.length > 0) {
+      const { data: existing, error } = await supabase
+        .from('fact_expenses')
+        .select('*')
+        .in('expense_id', targetIds);
+
+      if (error) throw error;
+
+      const existingById = Object.fromEntries(existing.map(exp => [String(exp.expense_id), exp]));
+      const denied = [];
+      for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index];
+        if (operation.op === 'create') continue;
+
+        const access = await checkRowAccess(existingById[String(operation.id)], userId, { write: true, notFound: 'Expense not found' });
+        if (access.error) denied.push({ index, error: access.error, status: access.status });
+      }
+
+      if (denied.length > 0) {
+        return res.status(denied.some(d => d.status === 404) ? 404 : 403).json({
+          error: 'Batch validation failed',
+          errors: denied.map(({ index, error: message }) => ({ index, error: message }))
+        });
+      }
+
+      applied.snapshot = existing;
+    }
+
+    // Wallet and payer for each create, resolved once per distinct pair
+    const targets = {};
+    const targetKey = (data) => `${data.walletId || ''}:${data.paidBy || ''}`;
+    const targetErrors = [];
+    for (let index = 0; index < operations.length; index++) {
+      const { op, data } = operations[index];
+      if (op !== 'create') continue;
+
+      const key = targetKey(data);
+      if (!(key in targets)) {
+        targets[key] = await resolveExpenseTarget(userId, { walletId: data.walletId, paidBy: data.paidBy });
+      }
+      if (targets[key].error) targetErrors.push({ index, error: targets[key].error, status: targets[key].status });
+    }
+
+    if (targetErrors.length > 0) {
+      return res.status(targetErrors[0].status).json({
+        error: 'Batch validation failed',
+        errors: targetErrors.map(({ index, error: message }) => ({ index, error: message }))
+      });
+    }
+
+    // Receipts may only be linked to one expense
+    const receiptIds = operations.filter(o => o.op === 'create' && o.data.receipt_id).map(o => o.data.receipt_id);
+    if (receiptIds.length > 0) {
+      const { data: linked, error } = await supabase
+        .from('fact_expenses')
+        .select('expense_id, receipt_id')
+        .eq('user_id', userId)
+        .in('receipt_id', receiptIds);
+
+      if (error) throw error;
+
+      const linkedIds = new Set(linked.map(exp => String(exp.receipt_id)));
+      const conflicts = operations
+        .map((operation, index) => ({ operation, index }))
+        .filter(({ operation }) => operation.op === 'create' && operation.data.receipt_id && linkedIds.has(String(operation.data.receipt_id)))
+        .map(({ index }) => ({ index, error: 'Expense already exists for this receipt' }));
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Batch validation failed', errors: conflicts });
+      }
+    }
+
+    // Step 3: Resolve each distinct category/date once
+    const categoryIds = {};
+    const dateIds = {};
+    for (const { data = {} } of operations) {
+      if (data.category !== undefined && !(data.category in categoryIds)) {
+        categoryIds[data.category] = await getOrCreateCategoryId(data.category, req.user.userId);
+      }
+      if (data.date !== undefined && !(data.date in dateIds)) {
+        dateIds[data.date] = await getOrCreateDateId(data.date);
+      }
+    }
+
+    if (Object.values(categoryIds).some(id => !id) || Object.values(dateIds).some(id => !id)) {
+      return res.status(500).json({ error: 'Failed to create dimension references' });
+    }
+
+    console.log('📦 Applying batch:', { userId, operations: operations.length });
+
+    const results = operations.map((operation, index) => ({ index, op: operation.op, id: operation.id || null }));
+
+    // Step 4a: Creates in a single insert
+    const creates = operations
+      .map((operation, index) => ({ operation, index }))
+      .filter(({ operation }) => operation.op === 'create');
+
+    if (creates.length > 0) {
+      const homeCurrency = await getHomeCurrency(userId);
+      const { data: created, error } = await supabase
+        .from('fact_expenses')
+        .insert(creates.map(({ operation: { data } }) => ({
+          user_id: targets[targetKey(data)].user_id,
+          wallet_id: targets[targetKey(data)].wallet_id,
+          amount: parseFloat(data.amount),
+          category_id: categoryIds[data.category],
+          date_id: dateIds[data.date],
+          description: data.description || null,
+          payment_method: data.payment_method || null,
+          tags: normalizeTags(data.tags),
+          currency: normalizeCurrency(data.currency) || targets[targetKey(data)].currency || homeCurrency,
+          receipt_id: data.receipt_id || null
+        })))
+        .select('expense_id');
+
+      if (error) throw error;
+
+      applied.created = created.map(exp => exp.expense_id);
+      creates.forEach(({ index }, i) => {
+        results[index].id = created[i].expense_id;
+      });
+    }
+
+    // Step 4b: Updates, grouped so identical changes (e.g. re-categorizing
+    // 40 expenses) become one statement
+    const updateGroups = new Map();
+    operations.forEach((operation, index) => {
+      if (operation.op !== 'update') return;
+      const { data } = operation;
+
+      const updateData = {};
+      if (data.amount !== undefined) updateData.amount = parseFloat(data.amount);
+      if (data.description !== undefined) updateData.description = data.description;
+      if (data.payment_method !== undefined) updateData.payment_method = data.payment_method;
+      if (data.tags !== undefined) updateData.tags = normalizeTags(data.tags);
+      if (data.currency !== undefined) updateData.currency = normalizeCurrency(data.currency);
+      if (data.category !== undefined) updateData.category_id = categoryIds[data.category];
+      if (data.date !== undefined) updateData.date_id = dateIds[data.date];
+
+      const key = JSON.stringify(updateData);
+      if (!updateGroups.has(key)) updateGroups.set(key, { updateData, ids: [] });
+      updateGroups.get(key).ids.push(operation.id);
+    });
+
+    for (const { updateData, ids } of updateGroups.values()) {
+      const { error } = await supabase
+        .from('fact_expenses')
+        .update(updateData)
+        .in('expense_id', ids);
+
+      if (error) throw error;
+    }
+
+    // Step 4c: Deletes in a single statement
+    const deleteIds = operations.filter(o => o.op === 'delete').map(o => o.id);
+    if (deleteIds.length > 0) {
+      const { error } = await supabase
+        .from('fact_expenses')
+        .delete()
+        .in('expense_id', deleteIds);
+
+      if (error) throw error;
+    }
+
+    // Step 5: Return the final state of created/updated rows
+    const touchedIds = results.filter(r => r.op !== 'delete').map(r => r.id);
+    let expensesById = {};
+
+    if (touchedIds.length > 0) {
+      const { data: touched, error } = await supabase
+        .from('fact_expenses')
+        .select(EXPENSE_LIST_SELECT)
+        .in('expense_id', touchedIds);
+
+      if (error) throw error;
+      expensesById = Object.fromEntries(touched.map(exp => [String(exp.expense_id), mapExpense(exp)]));
+    }
+
+    console.log('✅ Batch applied:', { created: creates.length, updated: updateGroups.size, deleted: deleteIds.length });
+
+    await recordTags(userId, operations.flatMap(({ data = {} }) => normalizeTags(data.tags) || []));
+
+    res.json({
+      success: true,
+      results: results.map(r => ({
+        ...r,
+        success: true,
+        expense: r.op === 'delete' ? undefined : expensesById[String(r.id)]
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Batch error, rolling back:', error);
+
+    let rolledBack = true;
+    try {
+      if (applied.created.length > 0) {
+        const { error: undoCreateError } = await supabase
+          .from('fact_expenses')
+          .delete()
+          .in('expense_id', applied.created);
+        if (undoCreateError) throw undoCreateError;
+      }
+      if (applied.snapshot.length > 0) {
+        const { error: undoUpdateError } = await supabase
+          .from('fact_expenses')
+          .upsert(applied.snapshot, { onConflict: 'expense_id' });
+        if (undoUpdateError) throw undoUpdateError;
+      }
+    } catch (rollbackError) {
+      rolledBack = false;
+      console.error('❌ Batch rollback failed:', rollbackError);
+    }
+
+    res.status(500).json({ error: 'Failed to apply batch', message: error.message, rolledBack });
+  }
+});
+
 // ============================================
 // Update expense
+// walletId moves it into another wallet (null = back to personal, only for
+// the member who paid); paidBy changes who paid within a wallet
 // ============================================
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const { amount, category, description, date, payment_method, tags } = req.body;
+    const { amount, category, description, date, payment_method, tags, currency, walletId, paidBy } = req.body;
+
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+      return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+    }
+
+    const existing = await getAccessibleExpense(req.params.id, req.user.userId, true);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error });
+    }
 
     const updateData = {};
     if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (currency !== undefined) updateData.currency = normalizeCurrency(currency);
     if (description !== undefined) updateData.description = description;
     if (payment_method !== undefined) updateData.payment_method = payment_method;
-    if (tags !== undefined) updateData.tags = tags;
+    if (tags !== undefined) updateData.tags = normalizeTags(tags);
     
     // Handle category update
     if (category !== undefined) {
-      const categoryId = await getOrCreateCategoryId(category);
+      const categoryId = await getOrCreateCategoryId(category, req.user.userId);
       if (categoryId) updateData.category_id = categoryId;
     }
     
@@ -289,11 +914,31 @@ router.put('/:id', authenticateToken, async (req, res) => {
       if (dateId) updateData.date_id = dateId;
     }
 
+    // Handle wallet / payer changes
+    if (walletId !== undefined || paidBy !== undefined) {
+      const current = existing.expense;
+      const targetWallet = walletId !== undefined ? walletId : current.wallet_id;
+
+      if (!targetWallet && String(current.user_id) !== String(req.user.userId)) {
+        return res.status(403).json({ error: 'Only the member who paid can move an expense out of a wallet' });
+      }
+
+      const target = await resolveExpenseTarget(req.user.userId, {
+        walletId: targetWallet,
+        paidBy: paidBy !== undefined ? paidBy : (targetWallet ? current.user_id : undefined)
+      });
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+
+      updateData.wallet_id = target.wallet_id;
+      updateData.user_id = target.user_id;
+    }
+
     const { data: expense, error } = await supabase
       .from('fact_expenses')
       .update(updateData)
       .eq('expense_id', req.params.id)
-      .eq('user_id', req.user.userId)
       .select(`
         *,
         dim_category!fact_expenses_category_id_fkey(category_name),
@@ -305,6 +950,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Expense not found' });
     }
 
+    if (tags !== undefined) await recordTags(req.user.userId, expense.tags);
+
     res.json({ success: true, expense });
   } catch (error) {
     console.error('Update expense error:', error);
@@ -317,11 +964,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
 // ============================================
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
+    const existing = await getAccessibleExpense(req.params.id, req.user.userId, true);
+    if (existing.error) {
+      return res.status(existing.status).json({ error: existing.error });
+    }
+
     const { error } = await supabase
       .from('fact_expenses')
       .delete()
-      .eq('expense_id', req.params.id)
-      .eq('user_id', req.user.userId);
+      .eq('expense_id', req.params.id);
 
     if (error) throw error;
 
@@ -339,16 +990,20 @@ router.get('/with-receipts', authenticateToken, async (req, res) => {
   try {
     const { limit = 50 } = req.query;
 
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     // Get expenses that have receipts
-    const { data: expenses, error } = await supabase
+    const { data: expenses, error } = await scope.apply(supabase
       .from('fact_expenses')
       .select(`
         *,
         dim_category!fact_expenses_category_id_fkey(category_name),
         dim_date!fact_expenses_date_id_fkey(date_id),
         fact_receipts!fact_expenses_receipt_id_fkey(receipt_id, image_url)
-      `)
-      .eq('user_id', req.user.userId)
+      `))
       .not('receipt_id', 'is', null)
       .order('date_id', { ascending: false })
       .limit(parseInt(limit));
@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { isDateId, getOrCreateCategoryId, getOrCreateDateId } = require('../lib/dimensions');
+const { DATE_FORMATS, detectFormat, parseStatement } = require('../lib/statements');
+const { normalizeCurrency, getHomeCurrency } = require('../lib/currency');
+const { normalizeTags, recordTags } = require('../lib/tags');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:write'));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const MAX_IMPORT_ROWS = 2000;
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// ============================================
+// HELPER: Token-set similarity of two descriptions (0..1)
+// ============================================
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !/^\d+$/.test(word));
+}
+
+function descriptionSimilarity(a, b) {
+  const wordsA = new Set(normalizeText(a));
+  const wordsB = new Set(normalizeText(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+function dayDiff(a, b) {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / 86400000;
+}
+
+// ============================================
+// HELPER: Flag likely duplicates of existing fact_expenses
+// Same amount, date within a day (posting lag) and a similar description
+// ============================================
+async function flagDuplicates(userId, rows) {
+  if (rows.length === 0) return rows;
+
+  const dates = rows.map(r => r.date).sort();
+  const from = new Date(dates[0]);
+  from.setDate(from.getDate() - 1);
+  const to = new Date(dates[dates.length - 1]);
+  to.setDate(to.getDate() + 1);
+
+  const existing = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('fact_expenses')
+      .select('expense_id, amount, date_id, description')
+      .eq('user_id', userId)
+      .gte('date_id', from.toISOString().split('T')[0])
+      .lte('date_id', to.toISOString().split('T')[0])
+      .order('expense_id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    existing.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  const seen = new Map();
+
+  return rows.map(row => {
+    let best = null;
+
+    for (const exp of existing) {
+      if (Math.abs(parseFloat(exp.amount) - row.amount) >= 0.005) continue;
+      const days = dayDiff(exp.date_id, row.date);
+      if (days > 1) continue;
+
+      const similarity = descriptionSimilarity(exp.description, row.description);
+      // Exact date + amount is already a strong signal; a day apart needs a matching description
+      const score = parseFloat(((days === 0 ? 0.6 : 0.3) + 0.4 * similarity).toFixed(2));
+
+      if (score >= 0.6 && (!best || score > best.score)) {
+        best = { expense_id: exp.expense_id, date: exp.date_id, description: exp.description, score };
+      }
+    }
+
+    // Same transaction listed twice in the file itself
+    const key = row.reference || `${row.date}|${row.amount}|${normalizeText(row.description).join(' ')}`;
+    const duplicateOfRow = seen.has(key) ? seen.get(key) : null;
+    if (!seen.has(key)) seen.set(key, row.row_id);
+
+    return {
+      ...row,
+      duplicate: best,
+      duplicate_of_row: duplicateOfRow,
+      is_duplicate: !!best || duplicateOfRow !== null,
+      selected: !best && duplicateOfRow === null
+    };
+  });
+}
+
+// ============================================
+// Preview: parse an uploaded statement and flag duplicates
+// multipart/form-data: file, format? (csv|ofx|qif), mapping? (JSON string)
+// Nothing is written - send the selected rows to /commit
+// ============================================
+router.post('/preview', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No statement file provided' });
+    }
+
+    const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const format = (req.body.format || detectFormat(req.file.originalname, text)).toLowerCase();
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (e) {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+    }
+
+    if (mapping.dateFormat && !DATE_FORMATS.includes(mapping.dateFormat)) {
+      return res.status(400).json({ error: 'Invalid dateFormat', allowed: DATE_FORMATS });
+    }
+
+    console.log('📥 Parsing statement:', { format, file: req.file.originalname });
+
+    const parsed = parseStatement(text, format, mapping);
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Too many rows (max ${MAX_IMPORT_ROWS}). Split the statement and try again.`
+      });
+    }
+
+    const rows = await flagDuplicates(
+      req.user.userId,
+      parsed.rows.map((row, i) => ({ row_id: i, ...row }))
+    );
+
+    const duplicateCount = rows.filter(r => r.is_duplicate).length;
+    console.log(`✅ Parsed ${rows.length} rows (${duplicateCount} likely duplicates)`);
+
+    res.json({
+      success: true,
+      format,
+      mapping: parsed.mapping,
+      headers: parsed.headers,
+      rows,
+      count: rows.length,
+      duplicateCount,
+      ignored: parsed.ignored,
+      errors: parsed.errors
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, headers: error.headers });
+    }
+    console.error('❌ Import preview error:', error);
+    res.status(500).json({ error: 'Failed to parse statement', message: error.message });
+  }
+});
+
+// ============================================
+// Commit: insert the selected preview rows into fact_expenses
+// Body: { rows: [{ date, amount, description?, category?, payment_method? }],
+//         defaultCategory?, payment_method?, tags?, currency?, skipDuplicates? (default true) }
+// currency defaults to the user's home currency; rows may override it
+// ============================================
+router.post('/commit', authenticateToken, async (req, res) => {
+  try {
+    const {
+      rows,
+      defaultCategory = 'Uncategorized',
+      payment_method,
+      tags,
+      currency,
+      skipDuplicates = true
+    } = req.body;
+
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+      return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'rows must be a non-empty array' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Too many rows (max ${MAX_IMPORT_ROWS})` });
+    }
+
+    const invalid = rows
+      .map((row, i) => ({ index: i, row }))
+      .filter(({ row }) => !isDateId(row.date) || !(parseFloat(row.amount) > 0));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Each row needs a valid YYYY-MM-DD date and a positive amount',
+        invalid: invalid.map(({ index }) => index)
+      });
+    }
+
+    // Re-check duplicates server side; the preview may be stale
+    const checked = await flagDuplicates(
+      req.user.userId,
+      rows.map((row, i) => ({ ...row, row_id: i, amount: parseFloat(row.amount) }))
+    );
+
+    const toInsert = skipDuplicates ? checked.filter(r => !r.is_duplicate) : checked;
+    const skipped = checked.filter(r => !toInsert.includes(r)).map(r => ({
+      row_id: r.row_id,
+      duplicate: r.duplicate,
+      duplicate_of_row: r.duplicate_of_row
+    }));
+
+    // Resolve each distinct category/date once
+    const categoryIds = {};
+    for (const name of new Set(toInsert.map(r => r.category || defaultCategory))) {
+      categoryIds[name] = await getOrCreateCategoryId(name, req.user.userId);
+    }
+    const dateIds = {};
+    for (const date of new Set(toInsert.map(r => r.date))) {
+      dateIds[date] = await getOrCreateDateId(date);
+    }
+
+    if (Object.values(categoryIds).some(id => !id) || Object.values(dateIds).some(id => !id)) {
+      return res.status(500).json({ error: 'Failed to create dimension references' });
+    }
+
+    const defaultCurrency = normalizeCurrency(currency) || await getHomeCurrency(req.user.userId);
+
+    let expenses = [];
+    if (toInsert.length > 0) {
+      const { data, error } = await supabase
+        .from('fact_expenses')
+        .insert(toInsert.map(row => ({
+          user_id: req.user.userId,
+          amount: row.amount,
+          category_id: categoryIds[row.category || defaultCategory],
+          date_id: dateIds[row.date],
+          description: row.description || null,
+          payment_method: row.payment_method || payment_method || null,
+          tags: normalizeTags(row.tags || tags),
+          currency: normalizeCurrency(row.currency) || defaultCurrency
+        })))
+        .select('expense_id, amount, currency, date_id, description');
+
+      if (error) throw error;
+      expenses = data;
+    }
+
+    await recordTags(req.user.userId, toInsert.flatMap(row => normalizeTags(row.tags || tags) || []));
+
+    console.log(`✅ Imported ${expenses.length} expenses (${skipped.length} skipped as duplicates)`);
+
+    res.status(201).json({
+      success: true,
+      imported: expenses.length,
+      skipped,
+      expenses
+    });
+  } catch (error) {
+    console.error('❌ Import commit error:', error);
+    res.status(500).json({ error: 'Failed to import expenses', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,477 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { getOrCreateCategoryId } = require('../lib/dimensions');
+const { checkRowAccess } = require('../lib/wallets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
+
+// fact_receipt_items: item_id, receipt_id, user_id, expense_id, category_id,
+// line_number, name, quantity, unit_price, price, created_at, updated_at
+// Mounted at /api/ocr/receipts/:receiptId
+
+const ITEM_SELECT = `
+  item_id,
+  receipt_id,
+  expense_id,
+  category_id,
+  line_number,
+  name,
+  quantity,
+  unit_price,
+  price,
+  created_at,
+  updated_at,
+  dim_category!fact_receipt_items_category_id_fkey(category_name)
+`;
+
+function mapItem(item) {
+  return {
+    id: item.item_id,
+    item_id: item.item_id,
+    receipt_id: item.receipt_id,
+    expense_id: item.expense_id,
+    line_number: item.line_number,
+    name: item.name,
+    quantity: item.quantity,
+    unit_price: item.unit_price,
+    price: item.price,
+    category: item.dim_category?.category_name || null,
+    category_id: item.category_id,
+    created_at: item.created_at,
+    updated_at: item.updated_at
+  };
+}
+
+// ============================================
+// HELPER: Load a receipt the current user may read (or change, with write)
+// Wallet receipts follow the wallet's roles. Returns { receipt } or { error, status }
+// ============================================
+async function getReceipt(receiptId, userId, write = false) {
+  const { data: receipt } = await supabase
+    .from('fact_receipts')
+    .select('receipt_id, user_id, wallet_id, amount, currency, date_id, store_id, category_id')
+    .eq('receipt_id', receiptId)
+    .maybeSingle();
+
+  const access = await checkRowAccess(receipt, userId, { write, notFound: 'Receipt not found' });
+  return access.error ? access : { receipt };
+}
+
+// ============================================
+// HELPER: Validate item fields; price defaults to quantity * unit_price
+// ============================================
+async function buildItemData(body, userId, partial = false) {
+  const { name, quantity, unit_price, price, category } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) return { error: 'Item name is required' };
+    data.name = String(name).trim().substring(0, 200);
+  }
+
+  if (quantity !== undefined) {
+    if (!(parseFloat(quantity) > 0)) return { error: 'quantity must be a positive number' };
+    data.quantity = parseFloat(quantity);
+  } else if (!partial) {
+    data.quantity = 1;
+  }
+
+  if (unit_price !== undefined) {
+    if (isNaN(parseFloat(unit_price)) || parseFloat(unit_price) < 0) return { error: 'Invalid unit_price' };
+    data.unit_price = parseFloat(unit_price);
+  }
+
+  if (price !== undefined) {
+    if (isNaN(parseFloat(price)) || parseFloat(price) < 0) return { error: 'Invalid price' };
+    data.price = parseFloat(price);
+  }
+
+  if (!partial && data.price === undefined) {
+    if (data.unit_price === undefined) return { error: 'price or unit_price is required' };
+    data.price = parseFloat((data.unit_price * data.quantity).toFixed(2));
+  }
+  if (!partial && data.unit_price === undefined) {
+    data.unit_price = parseFloat((data.price / data.quantity).toFixed(2));
+  }
+
+  if (category !== undefined) {
+    if (category === null || category === '') {
+      data.category_id = null;
+    } else {
+      const categoryId = await getOrCreateCategoryId(category, userId);
+      if (!categoryId) return { error: 'Failed to create dimension references', status: 500 };
+      data.category_id = categoryId;
+    }
+  }
+
+  return { data };
+}
+
+// ============================================
+// List items on a receipt
+// ============================================
+router.get('/items', authenticateToken, async (req, res) => {
+  try {
+    const { receipt, error: accessError, status } = await getReceipt(req.params.receiptId, req.user.userId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data: items, error } = await supabase
+      .from('fact_receipt_items')
+      .select(ITEM_SELECT)
+      .eq('receipt_id', receipt.receipt_id)
+      .order('line_number', { ascending: true });
+
+    if (error) throw error;
+
+    const itemsTotal = items.reduce((sum, item) => sum + parseFloat(item.price), 0);
+
+    res.json({
+      success: true,
+      items: items.map(mapItem),
+      count: items.length,
+      itemsTotal: parseFloat(itemsTotal.toFixed(2)),
+      receiptTotal: parseFloat(receipt.amount)
+    });
+  } catch (error) {
+    console.error('Get receipt items error:', error);
+    res.status(500).json({ error: 'Failed to fetch receipt items', message: error.message });
+  }
+});
+
+// ============================================
+// Add an item (e.g. one OCR missed)
+// ============================================
+router.post('/items', authenticateToken, async (req, res) => {
+  try {
+    const { receipt, error: accessError, status } = await getReceipt(req.params.receiptId, req.user.userId, true);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const result = await buildItemData(req.body, req.user.userId);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    const { data: last } = await supabase
+      .from('fact_receipt_items')
+      .select('line_number')
+      .eq('receipt_id', receipt.receipt_id)
+      .order('line_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: item, error } = await supabase
+      .from('fact_receipt_items')
+      .insert([{
+        ...result.data,
+        receipt_id: receipt.receipt_id,
+        user_id: req.user.userId,
+        line_number: (last?.line_number || 0) + 1
+      }])
+      .select(ITEM_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, item: mapItem(item) });
+  } catch (error) {
+    console.error('Create receipt item error:', error);
+    res.status(500).json({ error: 'Failed to create receipt item', message: error.message });
+  }
+});
+
+// ============================================
+// Correct an item
+// ============================================
+router.put('/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const { error: accessError, status } = await getReceipt(req.params.receiptId, req.user.userId, true);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const result = await buildItemData(req.body, req.user.userId, true);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    const updateData = { ...result.data, updated_at: new Date().toISOString() };
+
+    // Keep price consistent when only quantity/unit_price change
+    if (updateData.price === undefined && (updateData.quantity !== undefined || updateData.unit_price !== undefined)) {
+      const { data: current } = await supabase
+        .from('fact_receipt_items')
+        .select('quantity, unit_price')
+        .eq('item_id', req.params.itemId)
+        .eq('receipt_id', req.params.receiptId)
+        .single();
+
+      if (current) {
+        const quantity = updateData.quantity ?? parseFloat(current.quantity);
+        const unitPrice = updateData.unit_price ?? parseFloat(current.unit_price);
+        updateData.price = parseFloat((quantity * unitPrice).toFixed(2));
+      }
+    }
+
+    const { data: item, error } = await supabase
+      .from('fact_receipt_items')
+      .update(updateData)
+      .eq('item_id', req.params.itemId)
+      .eq('receipt_id', req.params.receiptId)
+      .select(ITEM_SELECT)
+      .single();
+
+    if (error || !item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({ success: true, item: mapItem(item) });
+  } catch (error) {
+    console.error('Update receipt item error:', error);
+    res.status(500).json({ error: 'Failed to update receipt item', message: error.message });
+  }
+});
+
+// ============================================
+// Delete an item
+// ============================================
+router.delete('/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const { error: accessError, status } = await getReceipt(req.params.receiptId, req.user.userId, true);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { error } = await supabase
+      .from('fact_receipt_items')
+      .delete()
+      .eq('item_id', req.params.itemId)
+      .eq('receipt_id', req.params.receiptId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Item deleted successfully' });
+  } catch (error) {
+    console.error('Delete receipt item error:', error);
+    res.status(500).json({ error: 'Failed to delete receipt item', message: error.message });
+  }
+});
+
+// ============================================
+// Split a receipt into several expenses across categories
+// Body: { splits: [{ category, itemIds?, amount?, description? }] }
+// A split's amount defaults to the sum of its items; at most one split may
+// leave both out and receives whatever is left of the receipt total
+// (tax, service charge, unlisted items). The receipt's current expenses
+// are replaced by the new ones.
+// ============================================
+router.post('/split', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { splits } = req.body;
+
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return res.status(400).json({ error: 'splits must be an array with at least two entries' });
+  }
+
+  const created = [];
+  let previousExpenses = [];
+  let previousItems = [];
+
+  try {
+    const { receipt, error: accessError, status } = await getReceipt(req.params.receiptId, userId, true);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data: items, error: itemsError } = await supabase
+      .from('fact_receipt_items')
+      .select('item_id, expense_id, category_id, price')
+      .eq('receipt_id', receipt.receipt_id);
+
+    if (itemsError) throw itemsError;
+    previousItems = items;
+
+    const itemsById = Object.fromEntries(items.map(item => [String(item.item_id), item]));
+    const assigned = new Set();
+    const receiptTotal = parseFloat(receipt.amount);
+    let remainderIndex = -1;
+
+    // Step 1: Validate and work out each split's amount
+    const planned = [];
+    for (let i = 0; i < splits.length; i++) {
+      const split = splits[i] || {};
+      const itemIds = (split.itemIds || []).map(String);
+
+      if (!split.category) {
+        return res.status(400).json({ error: 'Each split needs a category', index: i });
+      }
+
+      for (const itemId of itemIds) {
+        if (!itemsById[itemId]) {
+          return res.status(400).json({ error: 'Item not found on this receipt', index: i, item_id: itemId });
+        }
+        if (assigned.has(itemId)) {
+          return res.status(400).json({ error: 'Item assigned to more than one split', index: i, item_id: itemId });
+        }
+        assigned.add(itemId);
+      }
+
+      let amount = null;
+      if (split.amount !== undefined) {
+        if (!(parseFloat(split.amount) > 0)) {
+          return res.status(400).json({ error: 'Split amount must be positive', index: i });
+        }
+        amount = parseFloat(split.amount);
+      } else if (itemIds.length > 0) {
+        amount = itemIds.reduce((sum, id) => sum + parseFloat(itemsById[id].price), 0);
+      } else if (remainderIndex === -1) {
+        remainderIndex = i;
+      } else {
+        return res.status(400).json({ error: 'Only one split may omit both amount and itemIds', index: i });
+      }
+
+      planned.push({ ...split, itemIds, amount });
+    }
+
+    const allocated = planned.reduce((sum, s) => sum + (s.amount || 0), 0);
+
+    if (remainderIndex !== -1) {
+      const remainder = parseFloat((receiptTotal - allocated).toFixed(2));
+      if (remainder <= 0) {
+        return res.status(400).json({ error: 'Nothing left of the receipt total for the remainder split', allocated, receiptTotal });
+      }
+      planned[remainderIndex].amount = remainder;
+    } else if (Math.abs(allocated - receiptTotal) > 0.01) {
+      return res.status(400).json({
+        error: 'Split amounts must add up to the receipt total',
+        allocated: parseFloat(allocated.toFixed(2)),
+        receiptTotal
+      });
+    }
+
+    // Step 2: Resolve categories once per distinct name
+    const categoryIds = {};
+    for (const split of planned) {
+      if (!(split.category in categoryIds)) {
+        categoryIds[split.category] = await getOrCreateCategoryId(split.category, req.user.userId);
+      }
+    }
+    if (Object.values(categoryIds).some(id => !id)) {
+      return res.status(500).json({ error: 'Failed to create dimension references' });
+    }
+
+    const { data: existingExpenses, error: existingError } = await supabase
+      .from('fact_expenses')
+      .select('*')
+      .eq('receipt_id', receipt.receipt_id);
+
+    if (existingError) throw existingError;
+    previousExpenses = existingExpenses;
+
+    const base = existingExpenses[0] || {};
+
+    // Step 3: Create the new expenses
+    const { data: newExpenses, error: insertError } = await supabase
+      .from('fact_expenses')
+      .insert(planned.map(split => ({
+        // Whoever paid for the receipt paid for every part of it
+        user_id: base.user_id || receipt.user_id,
+        wallet_id: receipt.wallet_id || null,
+        amount: parseFloat(split.amount.toFixed(2)),
+        category_id: categoryIds[split.category],
+        date_id: receipt.date_id,
+        store_id: receipt.store_id,
+        description: split.description || base.description || split.category,
+        payment_method: base.payment_method || null,
+        tags: base.tags || null,
+        currency: receipt.currency || base.currency || null,
+        receipt_id: receipt.receipt_id
+      })))
+      .select(`
+        *,
+        dim_category!fact_expenses_category_id_fkey(category_name),
+        dim_date!fact_expenses_date_id_fkey(date_id)
+      `);
+
+    if (insertError) throw insertError;
+    created.push(...newExpenses.map(exp => exp.expense_id));
+
+    // Step 4: Point each item at its split's expense and category
+    for (let i = 0; i < planned.length; i++) {
+      if (planned[i].itemIds.length === 0) continue;
+
+      const { error } = await supabase
+        .from('fact_receipt_items')
+        .update({ expense_id: newExpenses[i].expense_id, category_id: categoryIds[planned[i].category] })
+        .eq('receipt_id', receipt.receipt_id)
+        .in('item_id', planned[i].itemIds);
+
+      if (error) throw error;
+    }
+
+    // Unassigned items follow the remainder split, if there is one
+    const unassigned = items.filter(item => !assigned.has(String(item.item_id))).map(item => item.item_id);
+    if (unassigned.length > 0) {
+      const target = remainderIndex !== -1 ? newExpenses[remainderIndex].expense_id : null;
+      const { error } = await supabase
+        .from('fact_receipt_items')
+        .update({ expense_id: target })
+        .in('item_id', unassigned);
+
+      if (error) throw error;
+    }
+
+    // Step 5: Remove the expenses the split replaces
+    if (existingExpenses.length > 0) {
+      const { error } = await supabase
+        .from('fact_expenses')
+        .delete()
+        .in('expense_id', existingExpenses.map(exp => exp.expense_id));
+
+      if (error) throw error;
+    }
+
+    console.log(`✅ Receipt ${receipt.receipt_id} split into ${newExpenses.length} expenses`);
+
+    res.status(201).json({
+      success: true,
+      receipt_id: receipt.receipt_id,
+      expenses: newExpenses,
+      replaced: existingExpenses.map(exp => exp.expense_id)
+    });
+  } catch (error) {
+    console.error('❌ Split receipt error, rolling back:', error);
+
+    try {
+      if (previousExpenses.length > 0) {
+        await supabase.from('fact_expenses').upsert(previousExpenses, { onConflict: 'expense_id' });
+      }
+      for (const item of previousItems) {
+        await supabase
+          .from('fact_receipt_items')
+          .update({ expense_id: item.expense_id, category_id: item.category_id })
+          .eq('item_id', item.item_id);
+      }
+      if (created.length > 0) {
+        await supabase.from('fact_expenses').delete().in('expense_id', created);
+      }
+    } catch (rollbackError) {
+      console.error('❌ Split rollback failed:', rollbackError);
+    }
+
+    res.status(500).json({ error: 'Failed to split receipt', message: error.message });
+  }
+});
+
+module.exports = router;
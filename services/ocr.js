@@ -1,112 +1,62 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const multer = require('multer');
-const axios = require('axios');
-const FormData = require('form-data');
 const { createClient } = require('@supabase/supabase-js');
 const authenticateToken = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { normalizeCurrency, detectCurrency, getHomeCurrency } = require('../lib/currency');
+const { checkRowAccess, resolveWalletScope, resolveExpenseTarget } = require('../lib/wallets');
+const { recordUsage } = require('../lib/usage');
+const { recognizeText, describeProviders } = require('../lib/ocrProviders');
+const { receiptImageUrl, removeReceiptImages, saveScannedReceipt, linkScannedReceipt } = require('../lib/receipts');
+const { isPdf, extractPdfText } = require('../lib/pdfText');
+const { prepareForStorage, prepareForOcr, imageHash } = require('../lib/imagePipeline');
+const { DUPLICATE_ACTIONS, findDuplicates } = require('../lib/duplicates');
+const { mapDraft, createDraft } = require('../lib/receiptDrafts');
+const { mapJob, createJob, getJob, listBatchJobs, claimJob, finishJob, retryJob, listPendingJobs } = require('../lib/ocrJobs');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
-// ============================================
-// HELPER: Get or create dimension IDs
-// ============================================
-
-async function getOrCreateCategoryId(categoryName) {
-  try {
-    if (!categoryName) return null;
-
-    const { data: existing } = await supabase
-      .from('dim_category')
-      .select('category_id')
-      .eq('category_name', categoryName)
-      .single();
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
 
-    if (existing) return existing.category_id;
-
-    const { data: newCategory, error } = await supabase
-      .from('dim_category')
-      .insert([{ category_name: categoryName }])
-      .select('category_id')
-      .single();
-
-    if (error) throw error;
-    return newCategory.category_id;
-  } catch (error) {
-    console.error('Error with category dimension:', error);
-    return null;
-  }
-}
-
-async function getOrCreateDateId(dateString) {
-  try {
-    const date = new Date(dateString);
-    
-    const { data: existing } = await supabase
-      .from('dim_date')
-      .select('date_id')
-      .eq('date_id', dateString)
-      .single();
+// Pages of one receipt (photos of a long receipt); a PDF counts as one page
+const MAX_PAGES = 10;
+// Receipts per batch upload (each counts against the ocrScan budget of 30
+// an hour), and how many of those ?sync=true will take
+const MAX_BATCH_FILES = 30;
+const MAX_SYNC_BATCH = 5;
 
-    if (existing) return dateString;
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf'
+};
 
-    const { error } = await supabase
-      .from('dim_date')
-      .insert([{
-        date_id: dateString,
-        day_of_month: date.getDate(),
-        month: date.getMonth() + 1,
-        year: date.getFullYear(),
-        day_of_week: date.getDay() + 1,
-        day_name: date.toLocaleDateString('en-US', { weekday: 'long' }),
-        month_name: date.toLocaleDateString('en-US', { month: 'long' }),
-        quarter: Math.floor(date.getMonth() / 3) + 1,
-        week: Math.ceil(date.getDate() / 7),
-        is_weekend: date.getDay() === 0 || date.getDay() === 6,
-        is_holiday: false
-      }]);
+const upload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_BATCH_FILES } // 10MB per file
+});
 
-    if (error) throw error;
-    return dateString;
-  } catch (error) {
-    console.error('Error with date dimension:', error);
-    return null;
+// Too many or too large files are the client's fault, not a 500
+const receiveFiles = (middleware) => (req, res, next) => middleware(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ error: 'Invalid upload', message: error.message, field: error.field });
   }
-}
-
-async function getOrCreateStoreId(storeName) {
-  if (!storeName) return null;
-  
-  try {
-    const { data: existing } = await supabase
-      .from('dim_store')
-      .select('store_id')
-      .eq('store_name', storeName)
-      .single();
-
-    if (existing) return existing.store_id;
+  next(error);
+});
 
-    const { data: newStore, error } = await supabase
-      .from('dim_store')
-      .insert([{ store_name: storeName }])
-      .select('store_id')
-      .single();
-
-    if (error) throw error;
-    return newStore.store_id;
-  } catch (error) {
-    console.error('Error with store dimension:', error);
-    return null;
-  }
-}
+// Files in an upload: what the ocrScan budget charges for, one per page
+const uploadedFileCount = (req) => (Array.isArray(req.files)
+  ? req.files.length
+  : Object.values(req.files || {}).reduce((sum, files) => sum + files.length, 0));
 
 // ============================================
 // 🔥 IMPROVED: Parse receipt text with better amount extraction
@@ -291,6 +241,7 @@ function parseReceiptText(text) {
     merchant,
     date,
     total,
+    currency: detectCurrency(text),
     items,
     category,
     rawText: text
@@ -298,259 +249,793 @@ function parseReceiptText(text) {
 }
 
 // ============================================
-// 🔥 IMPROVED: SCAN ENDPOINT with better parsing + optional auto-save
-// Query param: ?autoSave=false to disable auto-save (default is true)
+// HELPER: Store the (preprocessed) pages of a receipt and their thumbnails
+// Returns { pages: [{ path, mimetype, thumbnailPath, hash }], error } - paths are
+// set even when an upload failed, error is the first failure
 // ============================================
-router.post('/scan', authenticateToken, upload.single('image'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+async function uploadReceiptPages(userId, pages) {
+  const prefix = `receipts/${userId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const stored = [];
+  let uploadError = null;
+
+  for (const [i, page] of pages.entries()) {
+    const base = `${prefix}${i > 0 ? `-${i + 1}` : ''}`;
+    const entry = {
+      path: `${base}.${FILE_EXTENSIONS[page.mimetype] || 'jpg'}`,
+      mimetype: page.mimetype,
+      thumbnailPath: page.thumbnail ? `${base}.thumb.jpg` : null,
+      hash: page.hash || null
+    };
+
+    const uploads = [{ path: entry.path, buffer: page.buffer, mimetype: page.mimetype }];
+    if (page.thumbnail) {
+      uploads.push({ path: entry.thumbnailPath, buffer: page.thumbnail.buffer, mimetype: page.thumbnail.mimetype });
     }
 
-    if (!process.env.API_NINJAS_KEY) {
-      return res.status(503).json({ 
-        error: 'OCR service not configured',
-        message: 'Please set API_NINJAS_KEY in .env file. Get free key at https://api-ninjas.com'
-      });
+    for (const file of uploads) {
+      const { error } = await supabase.storage
+        .from('receipts')
+        .upload(file.path, file.buffer, {
+          contentType: file.mimetype,
+          upsert: false
+        });
+
+      if (error && !uploadError) uploadError = error;
     }
 
-    // 🔥 NEW: Check if auto-save is enabled (default true for backward compatibility)
-    const autoSave = req.query.autoSave !== 'false';
-    console.log('🔧 Auto-save mode:', autoSave);
+    stored.push(entry);
+  }
+
+  return { pages: stored, error: uploadError };
+}
 
-    console.log('📸 Processing receipt with API Ninjas OCR...');
+// ============================================
+// HELPER: Uploaded files -> pages ready for storage (rotated, metadata
+// stripped, resized, with thumbnail; real content type) and their
+// perceptual hash for duplicate detection. Throws UNSUPPORTED_IMAGE for a
+// file that can't be processed.
+// ============================================
+async function preparePages(files) {
+  const pages = [];
+  for (const file of files) {
+    let prepared;
+    try {
+      prepared = await prepareForStorage(file.buffer, file.mimetype);
+    } catch (error) {
+      // Name the file, batches hold many
+      if (error.code === 'UNSUPPORTED_IMAGE' && file.originalname) {
+        error.message = `${file.originalname}: ${error.message}`;
+      }
+      throw error;
+    }
 
-    // Step 1: Prepare form data for API Ninjas
-    const formData = new FormData();
-    formData.append('image', req.file.buffer, {
-      filename: 'receipt.jpg',
-      contentType: req.file.mimetype
+    pages.push({
+      buffer: prepared.buffer,
+      mimetype: prepared.mimetype,
+      thumbnail: prepared.thumbnail,
+      hash: prepared.processed ? await imageHash(prepared.buffer) : null
     });
+  }
+  return pages;
+}
 
-    // Step 2: Call API Ninjas OCR
-    const ocrResponse = await axios.post(
-      'https://api.api-ninjas.com/v1/imagetotext',
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders(),
-          'X-Api-Key': process.env.API_NINJAS_KEY
-        },
-        timeout: 30000 // 30 second timeout
-      }
-    );
+// ============================================
+// HELPER: Read, parse and (optionally) save one receipt
+// pages: [{ buffer, mimetype, thumbnail?, hash?, path?, thumbnailPath? }] -
+// photos of one receipt in order, or a PDF, as returned by preparePages;
+// `path` is set when the page is already stored (queued jobs).
+// onDuplicate: what to do when it matches an existing receipt or expense
+// (see DUPLICATE_ACTIONS in lib/duplicates.js)
+// Shared by synchronous scans, batches and the job worker. `target` comes
+// from resolveExpenseTarget.
+// Returns { result } (the /scan response body) or { error, message?, status }
+// ============================================
+async function processReceipt(userId, { pages, target, autoSave = true, currency = null, onDuplicate = 'review' }) {
+  console.log('🔧 Auto-save mode:', autoSave, '| pages:', pages.length, '| on duplicate:', onDuplicate);
 
-    console.log('📄 API Ninjas response:', JSON.stringify(ocrResponse.data, null, 2));
+  // Step 1: Text of every page - the text layer of PDFs, OCR for photos
+  // (configured providers, OCR_PROVIDERS)
+  const texts = [];
+  const providers = [];
 
-    // Check if OCR was successful
-    if (!ocrResponse.data || ocrResponse.data.length === 0) {
-      return res.status(400).json({ 
-        error: 'No text detected in image',
-        message: 'Please ensure the receipt is clear and well-lit'
-      });
+  for (const [i, page] of pages.entries()) {
+    if (isPdf(page.mimetype)) {
+      const pdf = await extractPdfText(page.buffer);
+      console.log(`📄 Page ${i + 1}: PDF with ${pdf.pageCount} page(s)`);
+      texts.push(pdf.text);
+      providers.push('pdf');
+      continue;
     }
 
-    // Extract text from OCR result (API Ninjas returns array of text blocks)
-    const extractedText = ocrResponse.data
-      .map(item => item.text)
-      .join('\n');
+    const input = await prepareForOcr(page.buffer, page.mimetype);
+    const ocr = await recognizeText(input.buffer, { mimetype: input.mimetype });
+    console.log(`📄 Page ${i + 1}: OCR text blocks from ${ocr.provider}:`, ocr.blocks.length, `(deskewed ${input.angle}°)`);
 
-    console.log('📄 Raw OCR text:\n', extractedText);
+    await recordUsage(userId, 'ocr_scan');
+
+    texts.push(ocr.blocks.map(item => item.text).join('\n'));
+    providers.push(ocr.provider);
+  }
 
-    if (!extractedText.trim()) {
-      return res.status(400).json({ 
+  // Step 2: One document, pages in upload order
+  const extractedText = texts.filter(text => text.trim()).join('\n');
+
+  console.log('📄 Raw OCR text:\n', extractedText);
+
+  if (!extractedText.trim()) {
+    return pages.every(page => isPdf(page.mimetype))
+      ? {
+        error: 'No text found in PDF',
+        message: 'This looks like a scanned PDF. Please upload photos of the receipt instead.',
+        status: 400
+      }
+      : {
         error: 'No text detected in image',
-        message: 'Please ensure the receipt is clear and well-lit'
-      });
+        message: 'Please ensure the receipt is clear and well-lit',
+        status: 400
+      };
+  }
+
+  // Step 3: Parse the extracted text
+  const parsedData = parseReceiptText(extractedText);
+  console.log('✅ Parsed data:', parsedData);
+
+  // Currency: explicit form field > symbol printed on the receipt > home currency
+  parsedData.currency = normalizeCurrency(currency)
+    || parsedData.currency
+    || target.currency
+    || await getHomeCurrency(userId);
+
+  // 🔥 VALIDATION: Check if we got a valid amount
+  if (parsedData.total === 0) {
+    console.warn('⚠️ Warning: Extracted amount is 0');
+    parsedData.warning = 'Could not extract amount from receipt. Please enter manually.';
+  }
+
+  const ocrProvider = [...new Set(providers)].join(',');
+  const data = {
+    store: parsedData.merchant,
+    amount: parsedData.total,
+    currency: parsedData.currency,
+    date: parsedData.date,
+    category: parsedData.category,
+    items: parsedData.items,
+    rawText: parsedData.rawText,
+    warning: parsedData.warning
+  };
+
+  // Step 4: Already scanned, or typed in by hand? Same-looking image or
+  // same store/date/amount (first page's hash; PDFs only match on fields)
+  const hash = pages[0].hash || null;
+  const duplicates = onDuplicate === 'save' ? [] : await findDuplicates(userId, target, {
+    imageHash: hash,
+    merchant: parsedData.merchant,
+    amount: parsedData.total,
+    date: parsedData.date
+  });
+
+  if (duplicates.length > 0) {
+    console.log('👯 Possible duplicates:', duplicates.map(d => `${d.receiptId || d.expenseId} (${d.similarity})`).join(', '));
+  }
+
+  if (duplicates.length > 0 && onDuplicate === 'skip') {
+    await removeReceiptImages(pages.flatMap(page => [page.path, page.thumbnailPath]).filter(Boolean));
+
+    return {
+      result: {
+        success: true,
+        skipped: true,
+        duplicateAction: 'skipped',
+        ocrProvider,
+        pages: pages.length,
+        data,
+        duplicates,
+        message: 'Receipt looks like one already saved - nothing was stored'
+      }
+    };
+  }
+
+  // Step 5: Upload pages to Supabase Storage (queued jobs stored them already)
+  let stored = pages;
+  if (pages.some(page => !page.path)) {
+    const uploaded = await uploadReceiptPages(userId, pages);
+    if (uploaded.error) {
+      console.error('❌ Upload failed:', uploaded.error);
     }
+    stored = uploaded.pages;
+  }
+
+  const paths = stored.map(page => page.path);
+  const imageUrls = paths.map(receiptImageUrl);
+  const publicUrl = imageUrls[0];
+  const thumbnailUrl = stored[0].thumbnailPath ? receiptImageUrl(stored[0].thumbnailPath) : null;
+
+  console.log('✅ Image uploaded:', publicUrl);
+
+  // 🔥 NEW: Only save to database if autoSave is enabled AND amount > 0 and
+  // it isn't a likely duplicate; anything else is kept as a draft to review
+  // and confirm. onDuplicate=link attaches the images to the best matching
+  // expense that has no receipt yet instead.
+  let receipt = null;
+  let expense = null;
+  let draft = null;
+  let duplicateAction = null;
 
-    // Step 3: Parse the extracted text
-    const parsedData = parseReceiptText(extractedText);
-    console.log('✅ Parsed data:', parsedData);
+  const linkTo = onDuplicate === 'link'
+    ? duplicates.find(match => match.expenseId && !match.hasReceipt)
+    : null;
 
-    // 🔥 VALIDATION: Check if we got a valid amount
-    if (parsedData.total === 0) {
-      console.warn('⚠️ Warning: Extracted amount is 0');
-      parsedData.warning = 'Could not extract amount from receipt. Please enter manually.';
+  if (linkTo) {
+    const linked = await linkScannedReceipt(userId, linkTo.expenseId, {
+      items: parsedData.items,
+      imageUrl: publicUrl,
+      imageUrls,
+      thumbnailUrl,
+      imageHash: hash
+    });
+
+    if (linked.error) {
+      console.warn('⚠️ Could not link receipt to expense', linkTo.expenseId + ':', linked.error);
+    } else {
+      ({ receipt, expense } = linked);
+      duplicateAction = 'linked';
     }
+  }
 
-    // Step 4: Upload image to Supabase Storage
-    const fileName = `receipts/${req.user.userId}/${Date.now()}.jpg`;
-    const { error: uploadError } = await supabase.storage
-      .from('receipts')
-      .upload(fileName, req.file.buffer, {
-        contentType: req.file.mimetype,
-        upsert: false
-      });
+  if (receipt) {
+    // Linked above
+  } else if (autoSave && parsedData.total > 0 && duplicates.length === 0) {
+    console.log('💾 Auto-save enabled and amount valid, creating receipt and expense...');
+
+    const saved = await saveScannedReceipt(target, {
+      merchant: parsedData.merchant,
+      amount: parsedData.total,
+      currency: parsedData.currency,
+      date: parsedData.date,
+      category: parsedData.category,
+      items: parsedData.items,
+      imageUrl: publicUrl,
+      imageUrls,
+      thumbnailUrl,
+      imageHash: hash
+    });
+
+    if (saved.error) return saved;
+    ({ receipt, expense } = saved);
+  } else {
+    if (duplicates.length > 0) {
+      console.log('⏭️ Possible duplicate, saving as draft for review');
+      duplicateAction = 'review';
+    } else {
+      console.log(autoSave
+        ? '⏭️ Auto-save enabled but amount is 0, saving as draft'
+        : '⏭️ Auto-save disabled, saving as draft');
+    }
+
+    draft = await createDraft(userId, {
+      walletId: target.wallet_id,
+      imagePaths: paths,
+      thumbnailPath: stored[0].thumbnailPath,
+      imageHash: hash,
+      duplicates,
+      parsed: parsedData,
+      ocrProvider
+    });
+  }
+
+  // 🔥 Return response with parsed data + optional expense info
+  const response = { 
+    success: true,
+    autoSave: autoSave,
+    ocrProvider,
+    pages: pages.length,
+    data,
+    image_url: publicUrl,
+    image_urls: imageUrls,
+    thumbnail_url: thumbnailUrl,
+    duplicates,
+    duplicateAction
+  };
+
+  // Add expense and receipt info if saved or linked
+  if (expense) {
+    response.expense = {
+      id: expense.expense_id,
+      expense_id: expense.expense_id,
+      user_id: expense.user_id,
+      wallet_id: expense.wallet_id,
+      amount: expense.amount,
+      currency: expense.currency,
+      category: expense.dim_category?.category_name || parsedData.category,
+      description: expense.description,
+      date: expense.dim_date?.date_id,
+      date_id: expense.dim_date?.date_id,
+      payment_method: expense.payment_method,
+      receipt_id: expense.receipt_id,
+      created_at: expense.created_at,
+      updated_at: expense.updated_at,
+      dim_category: expense.dim_category,
+      dim_date: expense.dim_date
+    };
+    response.receipt_id = receipt.receipt_id;
+    response.message = duplicateAction === 'linked'
+      ? 'Receipt attached to an existing expense'
+      : 'Receipt processed and expense created successfully';
+  } else if (draft) {
+    response.draft = mapDraft(draft);
+    response.draft_id = draft.draft_id;
+    response.message = duplicateAction === 'review'
+      ? 'Receipt looks like one already saved - kept as a draft, confirm to save it anyway or link it to the matching expense'
+      : 'Receipt processed and saved as a draft - please review and confirm';
+  } else {
+    response.receipt_id = receipt.receipt_id;
+    response.message = 'Receipt stored but the expense could not be created';
+  }
+
+  return { result: response };
+}
+
+// ============================================
+// HELPER: Map an OCR/provider error to { status, error, message }
+// ============================================
+function describeOcrError(error) {
+  if (error.code === 'UNSUPPORTED_IMAGE') {
+    return {
+      status: 400,
+      error: 'Unsupported image',
+      message: `${error.message}. Please upload a JPEG, PNG, WebP or HEIC photo, or a PDF.`
+    };
+  }
+
+  if (error.code === 'INVALID_PDF') {
+    return {
+      status: 400,
+      error: 'Invalid PDF',
+      message: `${error.message}. Please upload an unprotected PDF or photos of the receipt.`
+    };
+  }
+
+  if (error.code === 'OCR_UNAVAILABLE') {
+    return {
+      status: 503,
+      error: 'OCR service not configured',
+      message: 'No OCR provider is available. Set API_NINJAS_KEY or install tesseract.js, and check OCR_PROVIDERS in .env file.'
+    };
+  }
+
+  // Better error messages
+  let errorMessage = error.message;
+  if (error.response?.status === 400) {
+    errorMessage = 'Invalid image format. Please upload a clear photo of your receipt.';
+  } else if (error.response?.status === 401 || error.response?.status === 403) {
+    errorMessage = 'Invalid API Ninjas key. Please check your API_NINJAS_KEY in .env file.';
+  } else if (error.response?.status === 429) {
+    errorMessage = 'OCR provider rate limit exceeded. Please try again later.';
+  } else if (error.code === 'ECONNABORTED') {
+    errorMessage = 'Request timeout. Please try again with a smaller image.';
+  } else if (error.response?.data) {
+    errorMessage = error.response.data.error || error.response.data.message || errorMessage;
+  }
+
+  return {
+    status: error.response?.status === 429 ? 429 : 500,
+    error: 'Failed to process receipt',
+    message: errorMessage
+  };
+}
+
+// ============================================
+// HELPER: Worker - claim a queued job and process it
+// Returns false when the job was taken by someone else (or gave up)
+// ============================================
+async function runJob(job) {
+  const claimed = await claimJob(job);
+  if (!claimed) return false;
+
+  console.log('⚙️ Processing OCR job:', claimed.job_id, '(attempt', claimed.attempts + ')');
+
+  try {
+    const options = claimed.options || {};
+
+    // Membership may have changed while the job was queued
+    const target = await resolveExpenseTarget(claimed.user_id, { walletId: options.walletId });
+    if (target.error) {
+      await finishJob(claimed.job_id, { error: target.error });
+      return true;
+    }
+
+    const pages = [];
+    for (const page of claimed.pages || []) {
+      const { data: image, error: downloadError } = await supabase.storage
+        .from('receipts')
+        .download(page.path);
+
+      if (downloadError) throw downloadError;
+      pages.push({ ...page, buffer: Buffer.from(await image.arrayBuffer()) });
+    }
+
+    const scan = await processReceipt(claimed.user_id, {
+      pages,
+      target,
+      autoSave: options.autoSave !== false,
+      currency: options.currency,
+      onDuplicate: options.onDuplicate
+    });
+
+    if (scan.error) {
+      await finishJob(claimed.job_id, { error: scan.message ? `${scan.error}: ${scan.message}` : scan.error });
+    } else {
+      await finishJob(claimed.job_id, { result: scan.result });
+      console.log('✅ OCR job done:', claimed.job_id);
+    }
+  } catch (error) {
+    console.error('❌ OCR job failed:', claimed.job_id, error);
+    await finishJob(claimed.job_id, { error: describeOcrError(error).message });
+  }
 
-    if (uploadError) {
-      console.error('❌ Upload failed:', uploadError);
+  return true;
+}
+
+// Start the worker once the response is out, one job at a time per instance
+// (a batch must not fire all its OCR calls at once). Serverless hosts may freeze
+// the instance before it finishes; /jobs/cron (scheduled in vercel.json)
+// picks those jobs up.
+let workerQueue = Promise.resolve();
+
+function runJobSoon(job) {
+  workerQueue = workerQueue
+    .then(() => new Promise(resolve => setImmediate(resolve)))
+    .then(() => runJob(job))
+    .catch(error => console.error('❌ OCR job error:', job.job_id, error));
+}
+
+// ============================================
+// HELPER: Request options shared by /scan and /batch: { target, options }
+// or { error, message?, status }
+// ============================================
+async function prepareScan(req, pages) {
+  const onDuplicate = req.query.onDuplicate || req.body.onDuplicate || 'review';
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    return { error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`, status: 400 };
+  }
+
+  // Check the wallet before spending OCR quota on the image
+  const target = await resolveExpenseTarget(req.user.userId, { walletId: req.body.walletId });
+  if (target.error) return target;
+
+  // Don't queue work no provider can do (PDFs only need their text layer)
+  if (pages.some(page => !isPdf(page.mimetype))) {
+    const providers = await describeProviders();
+    if (!providers.some(p => p.available)) return describeOcrError({ code: 'OCR_UNAVAILABLE' });
+  }
+
+  return {
+    target,
+    options: {
+      autoSave: req.query.autoSave !== 'false',
+      currency: req.body.currency || null,
+      walletId: req.body.walletId || null,
+      onDuplicate
     }
+  };
+}
+
+// ============================================
+// HELPER: Store a receipt's pages and queue a job for it
+// ============================================
+async function queueReceipt(userId, pages, options, { batchId = null, fileName = null } = {}) {
+  const stored = await uploadReceiptPages(userId, pages);
+  if (stored.error) throw stored.error;
 
-    const { data: { publicUrl } } = supabase.storage
-      .from('receipts')
-      .getPublicUrl(fileName);
+  const job = await createJob(userId, {
+    pages: stored.pages,
+    options,
+    batchId,
+    fileName
+  });
+
+  console.log('📥 OCR job queued:', job.job_id);
+  runJobSoon(job);
+  return job;
+}
 
-    console.log('✅ Image uploaded:', publicUrl);
+// ============================================
+// 🔥 IMPROVED: SCAN ENDPOINT with better parsing + optional auto-save
+// Queues an OCR job and answers 202 { jobId } right away; poll GET /jobs/:id
+// Files: image (one photo or PDF) and/or images (up to MAX_PAGES photos of
+// one long receipt, in order) - all pages become one receipt
+// Query params: ?autoSave=false to disable auto-save (default is true),
+//   ?sync=true to process inside the request and return the result directly,
+//   ?onDuplicate=review|skip|link|save when it matches a saved receipt or
+//   expense (default review: keep it as a draft and list the matches)
+// Form fields: currency?, walletId? (save into a shared wallet, editor or owner)
+// ============================================
+router.post('/scan', authenticateToken.scope('ocr:scan'), authenticateToken,
+  receiveFiles(upload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: MAX_PAGES }])),
+  rateLimit('ocrScan', { cost: uploadedFileCount }), async (req, res) => {
+  try {
+    const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+    if (files.length > MAX_PAGES) {
+      return res.status(400).json({ error: `A receipt can have at most ${MAX_PAGES} pages` });
+    }
 
-    // 🔥 NEW: Only save to database if autoSave is enabled AND amount > 0
-    let receipt = null;
-    let expense = null;
+    const pages = await preparePages(files);
 
-    if (autoSave && parsedData.total > 0) {
-      console.log('💾 Auto-save enabled and amount valid, creating receipt and expense...');
+    const prepared = await prepareScan(req, pages);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error, message: prepared.message });
+    }
 
-      // Step 5: Get dimension IDs
-      const categoryId = await getOrCreateCategoryId(parsedData.category || 'Uncategorized');
-      const dateId = await getOrCreateDateId(parsedData.date || new Date().toISOString().split('T')[0]);
-      const storeId = parsedData.merchant ? await getOrCreateStoreId(parsedData.merchant) : null;
+    if (req.query.sync === 'true') {
+      const scan = await processReceipt(req.user.userId, {
+        pages,
+        target: prepared.target,
+        autoSave: prepared.options.autoSave,
+        currency: prepared.options.currency,
+        onDuplicate: prepared.options.onDuplicate
+      });
 
-      if (!categoryId || !dateId) {
-        return res.status(500).json({ error: 'Failed to create dimension references' });
+      if (scan.error) {
+        return res.status(scan.status).json({ error: scan.error, message: scan.message });
       }
+      return res.json(scan.result);
+    }
 
-      // 🔥 Step 6: Insert into fact_receipts FIRST
-      const { data: receiptData, error: receiptError } = await supabase
-        .from('fact_receipts')
-        .insert([{
-          user_id: req.user.userId,
-          date_id: dateId,
-          category_id: categoryId,
-          store_id: storeId,
-          amount: parseFloat(parsedData.total),
-          image_url: publicUrl
-        }])
-        .select('receipt_id')
-        .single();
-
-      if (receiptError) {
-        console.error('❌ Failed to store receipt:', receiptError);
-        throw receiptError;
+    const job = await queueReceipt(req.user.userId, pages, prepared.options);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.job_id,
+      status: job.status,
+      statusUrl: `/api/ocr/jobs/${job.job_id}`,
+      job: mapJob(job)
+    });
+  } catch (error) {
+    console.error('❌ OCR error:', error);
+    const failure = describeOcrError(error);
+    res.status(failure.status).json({ error: failure.error, message: failure.message });
+  }
+});
+
+// ============================================
+// BATCH: many receipts in one upload (e.g. after a trip)
+// Files: receipts (up to MAX_BATCH_FILES, each photo or PDF is one receipt)
+// Queues a job per receipt and answers 202 { batchId, jobs }; poll
+// GET /batches/:id. ?sync=true processes up to MAX_SYNC_BATCH inline and
+// returns a result per receipt. Same query params and form fields as /scan.
+// ============================================
+router.post('/batch', authenticateToken.scope('ocr:scan'), authenticateToken, rateLimit('ocrBatch'),
+  receiveFiles(upload.array('receipts', MAX_BATCH_FILES)),
+  rateLimit('ocrScan', { cost: uploadedFileCount }), async (req, res) => {
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No receipt files provided' });
+    }
+
+    const sync = req.query.sync === 'true';
+    if (sync && files.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({
+        error: `?sync=true takes at most ${MAX_SYNC_BATCH} receipts`,
+        message: 'Leave sync off to queue larger batches'
+      });
+    }
+
+    const pages = await preparePages(files);
+
+    const prepared = await prepareScan(req, pages);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error, message: prepared.message });
+    }
+
+    // One receipt failing must not fail the rest
+    const results = [];
+
+    if (sync) {
+      for (const [index, file] of files.entries()) {
+        const entry = { index, fileName: file.originalname };
+        try {
+          const scan = await processReceipt(req.user.userId, {
+            pages: [pages[index]],
+            target: prepared.target,
+            autoSave: prepared.options.autoSave,
+            currency: prepared.options.currency,
+            onDuplicate: prepared.options.onDuplicate
+          });
+
+          results.push(scan.error
+            ? { ...entry, success: false, error: scan.error, message: scan.message }
+            : { ...entry, ...scan.result });
+        } catch (error) {
+          console.error('❌ Batch receipt failed:', file.originalname, error);
+          const failure = describeOcrError(error);
+          results.push({ ...entry, success: false, error: failure.error, message: failure.message });
+        }
       }
 
-      receipt = receiptData;
-      console.log('✅ Receipt stored in fact_receipts:', receipt.receipt_id);
-
-      // 🔥 Step 7: Create corresponding expense in fact_expenses with receipt_id reference
-      const { data: expenseData, error: expenseError } = await supabase
-        .from('fact_expenses')
-        .insert([{
-          user_id: req.user.userId,
-          amount: parseFloat(parsedData.total),
-          category_id: categoryId,
-          date_id: dateId,
-          store_id: storeId,
-          description: parsedData.merchant || 'Receipt scan',
-          payment_method: 'Cash',
-          receipt_id: receipt.receipt_id
-        }])
-        .select(`
-          expense_id,
-          user_id,
-          amount,
-          description,
-          payment_method,
-          receipt_id,
-          created_at,
-          updated_at,
-          dim_category!fact_expenses_category_id_fkey(category_name),
-          dim_date!fact_expenses_date_id_fkey(date_id)
-        `)
-        .single();
-
-      if (expenseError) {
-        console.error('❌ Failed to create expense:', expenseError);
-      } else {
-        expense = expenseData;
-        console.log('✅ Expense created in fact_expenses:', expense.expense_id);
+      const succeeded = results.filter(r => r.success).length;
+      return res.json({ success: true, count: results.length, succeeded, failed: results.length - succeeded, results });
+    }
+
+    const batchId = crypto.randomUUID();
+
+    for (const [index, file] of files.entries()) {
+      const entry = { index, fileName: file.originalname };
+      try {
+        const job = await queueReceipt(req.user.userId, [pages[index]], prepared.options, {
+          batchId,
+          fileName: file.originalname
+        });
+        results.push({ ...entry, success: true, jobId: job.job_id, status: job.status });
+      } catch (error) {
+        console.error('❌ Failed to queue batch receipt:', file.originalname, error);
+        results.push({ ...entry, success: false, error: 'Failed to queue receipt', message: error.message });
       }
-    } else if (autoSave && parsedData.total === 0) {
-      console.log('⏭️ Auto-save enabled but amount is 0, skipping database save');
-    } else {
-      console.log('⏭️ Auto-save disabled, skipping database operations');
     }
 
-    // 🔥 Return response with parsed data + optional expense info
-    const response = { 
+    console.log(`📦 OCR batch ${batchId}: ${results.filter(r => r.success).length}/${files.length} queued`);
+
+    res.status(202).json({
       success: true,
-      autoSave: autoSave,
-      data: {
-        store: parsedData.merchant,
-        amount: parsedData.total,
-        date: parsedData.date,
-        category: parsedData.category,
-        items: parsedData.items,
-        rawText: parsedData.rawText,
-        warning: parsedData.warning
-      },
-      image_url: publicUrl
-    };
+      batchId,
+      statusUrl: `/api/ocr/batches/${batchId}`,
+      count: results.length,
+      jobs: results
+    });
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_IMAGE') {
+      const failure = describeOcrError(error);
+      return res.status(failure.status).json({ error: failure.error, message: failure.message });
+    }
+    console.error('❌ OCR batch error:', error);
+    res.status(500).json({ error: 'Failed to process batch', message: error.message });
+  }
+});
 
-    // Add expense and receipt info if auto-saved
-    if (autoSave && expense) {
-      response.expense = {
-        id: expense.expense_id,
-        expense_id: expense.expense_id,
-        user_id: expense.user_id,
-        amount: expense.amount,
-        category: expense.dim_category?.category_name || parsedData.category,
-        description: expense.description,
-        date: expense.dim_date?.date_id,
-        date_id: expense.dim_date?.date_id,
-        payment_method: expense.payment_method,
-        receipt_id: expense.receipt_id,
-        created_at: expense.created_at,
-        updated_at: expense.updated_at,
-        dim_category: expense.dim_category,
-        dim_date: expense.dim_date
-      };
-      response.receipt_id = receipt.receipt_id;
-      response.message = 'Receipt processed and expense created successfully';
-    } else {
-      response.message = 'Receipt processed (not auto-saved - please review and confirm)';
+// ============================================
+// Batch status: every job with its result, plus counts per status
+// ============================================
+router.get('/batches/:id', authenticateToken.scope('ocr:scan'), authenticateToken, async (req, res) => {
+  try {
+    const jobs = await listBatchJobs(req.params.id, req.user.userId);
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
     }
 
-    res.json(response);
+    const counts = { queued: 0, processing: 0, done: 0, failed: 0 };
+    jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+
+    res.json({
+      success: true,
+      batchId: req.params.id,
+      finished: counts.queued === 0 && counts.processing === 0,
+      counts,
+      jobs: jobs.map(mapJob)
+    });
   } catch (error) {
-    console.error('❌ OCR error:', error);
-    
-    // Better error messages
-    let errorMessage = error.message;
-    if (error.response?.status === 400) {
-      errorMessage = 'Invalid image format. Please upload a clear photo of your receipt.';
-    } else if (error.response?.status === 401 || error.response?.status === 403) {
-      errorMessage = 'Invalid API Ninjas key. Please check your API_NINJAS_KEY in .env file.';
-    } else if (error.response?.status === 429) {
-      errorMessage = 'Rate limit exceeded. You have used all 100,000 free monthly requests.';
-    } else if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Request timeout. Please try again with a smaller image.';
-    } else if (error.response?.data) {
-      errorMessage = error.response.data.error || error.response.data.message || errorMessage;
+    console.error('Get OCR batch error:', error);
+    res.status(500).json({ error: 'Failed to fetch batch', message: error.message });
+  }
+});
+
+// ============================================
+// Scheduled worker (e.g. Vercel Cron): process queued jobs and jobs whose
+// instance went away. Requires Authorization: Bearer <CRON_SECRET>
+// Query: limit (default 3, max 10) - each job can take ~30s
+// ============================================
+router.get('/jobs/cron', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-    
-    res.status(500).json({ 
-      error: 'Failed to process receipt', 
-      message: errorMessage 
-    });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 10);
+    const jobs = await listPendingJobs(limit);
+
+    let processed = 0;
+    for (const job of jobs) {
+      if (await runJob(job)) processed++;
+    }
+
+    res.json({ success: true, pending: jobs.length, processed });
+  } catch (error) {
+    console.error('❌ OCR jobs cron error:', error);
+    res.status(500).json({ error: 'Failed to run OCR jobs', message: error.message });
+  }
+});
+
+// ============================================
+// Job status: queued | processing | done (with result) | failed (with error)
+// ============================================
+router.get('/jobs/:id', authenticateToken.scope('ocr:scan'), authenticateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: mapJob(job) });
+  } catch (error) {
+    console.error('Get OCR job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job', message: error.message });
+  }
+});
+
+// ============================================
+// HELPER: Load a failed job before /jobs/:id/retry's rate limit, which
+// charges one unit per stored page (each is OCR'd again)
+// ============================================
+async function loadFailedJob(req, res, next) {
+  try {
+    const job = await getJob(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed jobs can be retried (this one is ${job.status})` });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    console.error('❌ Retry OCR job error:', error);
+    res.status(500).json({ error: 'Failed to retry job', message: error.message });
+  }
+}
+
+// ============================================
+// Retry a failed job with the stored pages
+// ============================================
+router.post('/jobs/:id/retry', authenticateToken.scope('ocr:scan'), authenticateToken, loadFailedJob,
+  rateLimit('ocrScan', { cost: (req) => (req.job.pages || []).length }), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id, req.user.userId);
+
+    if (!job) {
+      const existing = await getJob(req.params.id, req.user.userId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      return res.status(409).json({ error: `Only failed jobs can be retried (this one is ${existing.status})` });
+    }
+
+    console.log('🔁 OCR job requeued:', job.job_id);
+    runJobSoon(job);
+
+    res.status(202).json({ success: true, jobId: job.job_id, status: job.status, job: mapJob(job) });
+  } catch (error) {
+    console.error('❌ Retry OCR job error:', error);
+    res.status(500).json({ error: 'Failed to retry job', message: error.message });
   }
 });
 
 // ============================================
 // GET ALL RECEIPTS
+// Query: limit, startDate, endDate, wallet=<walletId>|personal
 // ============================================
 router.get('/receipts', authenticateToken, async (req, res) => {
   try {
     const { limit = 50, startDate, endDate } = req.query;
 
-    let query = supabase
+    const scope = await resolveWalletScope(req.query.wallet, req.user.userId);
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    let query = scope.apply(supabase
       .from('fact_receipts')
       .select(`
         *,
         dim_category!fk_category(category_name, category_type, icon_name, color_code),
         dim_date!fk_date(date_id, year, month, day_of_month),
         dim_store!fk_store(store_name, store_type, location)
-      `)
-      .eq('user_id', req.user.userId)
+      `))
       .order('created_at', { ascending: false })
       .limit(parseInt(limit));
 
@@ -579,16 +1064,21 @@ router.get('/receipts/:id', authenticateToken, async (req, res) => {
         *,
         dim_category!fk_category(category_name, category_type, icon_name, color_code),
         dim_date!fk_date(date_id, year, month, day_of_month),
-        dim_store!fk_store(store_name, store_type, location)
+        dim_store!fk_store(store_name, store_type, location),
+        fact_receipt_items(item_id, line_number, name, quantity, unit_price, price, expense_id, category_id)
       `)
       .eq('receipt_id', req.params.id)
-      .eq('user_id', req.user.userId)
-      .single();
+      .maybeSingle();
 
-    if (error || !receipt) {
+    if (error) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
 
+    const access = await checkRowAccess(receipt, req.user.userId, { notFound: 'Receipt not found' });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
     res.json({ success: true, receipt });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch receipt' });
@@ -600,11 +1090,21 @@ router.get('/receipts/:id', authenticateToken, async (req, res) => {
 // ============================================
 router.delete('/receipts/:id', authenticateToken, async (req, res) => {
   try {
+    const { data: receipt } = await supabase
+      .from('fact_receipts')
+      .select('receipt_id, user_id, wallet_id')
+      .eq('receipt_id', req.params.id)
+      .maybeSingle();
+
+    const access = await checkRowAccess(receipt, req.user.userId, { write: true, notFound: 'Receipt not found' });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
     const { error } = await supabase
       .from('fact_receipts')
       .delete()
-      .eq('receipt_id', req.params.id)
-      .eq('user_id', req.user.userId);
+      .eq('receipt_id', req.params.id);
 
     if (error) throw error;
 
@@ -618,14 +1118,23 @@ router.delete('/receipts/:id', authenticateToken, async (req, res) => {
 // ============================================
 // TEST ENDPOINT
 // ============================================
-router.get('/test', (req, res) => {
-  res.json({
-    success: true,
-    message: 'OCR service is running with API Ninjas',
-    api_ninjas_configured: !!process.env.API_NINJAS_KEY,
-    rate_limit: '100,000 requests/month free',
-    signup_url: 'https://api-ninjas.com/register'
-  });
+router.get('/test', async (req, res) => {
+  try {
+    const providers = await describeProviders();
+
+    res.json({
+      success: true,
+      message: `OCR service is running (${providers.map(p => p.name).join(' > ')})`,
+      providers,
+      available: providers.some(p => p.available),
+      api_ninjas_configured: !!process.env.API_NINJAS_KEY,
+      rate_limit: '100,000 requests/month free',
+      signup_url: 'https://api-ninjas.com/register'
+    });
+  } catch (error) {
+    console.error('OCR test error:', error);
+    res.status(500).json({ error: 'Failed to check OCR providers', message: error.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,462 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { isDateId, getOrCreateCategoryId } = require('../lib/dimensions');
+const { normalizeCurrency, getHomeCurrency, createConverter } = require('../lib/currency');
+const { normalizeTags, recordTags } = require('../lib/tags');
+const {
+  FREQUENCIES,
+  today,
+  addDays,
+  listOccurrences,
+  materializeTemplate,
+  materializeDueExpenses
+} = require('../lib/recurring');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('recurring:read', 'recurring:write'));
+
+// fact_recurring_expenses: recurring_id, user_id, amount, currency, category_id,
+// description, payment_method, tags, frequency, interval_count, start_date,
+// end_date, skip_dates, is_paused, last_generated_date, created_at, updated_at
+// fact_expenses.recurring_id links materialized rows back to their template
+
+const RECURRING_SELECT = `
+  *,
+  dim_category!fact_recurring_expenses_category_id_fkey(category_name)
+`;
+
+// ============================================
+// HELPER: Validate template fields, returns { error } or { data }
+// `partial` allows updates that only touch some fields
+// ============================================
+async function buildTemplateData(body, userId, partial = false) {
+  const { amount, currency, category, description, payment_method, tags, frequency, interval, startDate, endDate, skipDates } = body;
+  const data = {};
+
+  if (currency !== undefined) {
+    if (!normalizeCurrency(currency)) return { error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' };
+    data.currency = normalizeCurrency(currency);
+  }
+
+  if (amount !== undefined || !partial) {
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return { error: 'A positive amount is required' };
+    }
+    data.amount = parseFloat(amount);
+  }
+
+  if (category !== undefined || !partial) {
+    if (!category) return { error: 'Category is required' };
+    const categoryId = await getOrCreateCategoryId(category, userId);
+    if (!categoryId) return { error: 'Failed to create dimension references', status: 500 };
+    data.category_id = categoryId;
+  }
+
+  if (frequency !== undefined || !partial) {
+    const normalized = String(frequency || '').toUpperCase();
+    if (!FREQUENCIES.includes(normalized)) {
+      return { error: 'Invalid frequency', allowed: FREQUENCIES.map(f => f.toLowerCase()) };
+    }
+    data.frequency = normalized;
+  }
+
+  if (interval !== undefined) {
+    const intervalCount = parseInt(interval);
+    if (isNaN(intervalCount) || intervalCount < 1) {
+      return { error: 'interval must be a positive integer' };
+    }
+    data.interval_count = intervalCount;
+  } else if (!partial) {
+    data.interval_count = 1;
+  }
+
+  if (startDate !== undefined || !partial) {
+    if (!isDateId(startDate)) return { error: 'startDate is required (YYYY-MM-DD)' };
+    data.start_date = startDate;
+  }
+
+  if (endDate !== undefined) {
+    if (endDate !== null && !isDateId(endDate)) return { error: 'Invalid endDate (YYYY-MM-DD)' };
+    data.end_date = endDate;
+  }
+
+  if (skipDates !== undefined) {
+    if (!Array.isArray(skipDates) || !skipDates.every(isDateId)) {
+      return { error: 'skipDates must be an array of YYYY-MM-DD dates' };
+    }
+    data.skip_dates = [...new Set(skipDates)].sort();
+  }
+
+  if (description !== undefined) data.description = description || null;
+  if (payment_method !== undefined) data.payment_method = payment_method || null;
+  if (tags !== undefined) data.tags = normalizeTags(tags);
+
+  return { data };
+}
+
+function mapTemplate(template) {
+  const from = today();
+  return {
+    id: template.recurring_id,
+    recurring_id: template.recurring_id,
+    amount: template.amount,
+    currency: template.currency,
+    category: template.dim_category?.category_name || 'Other',
+    category_id: template.category_id,
+    description: template.description,
+    payment_method: template.payment_method,
+    tags: template.tags,
+    frequency: template.frequency.toLowerCase(),
+    interval: template.interval_count,
+    startDate: template.start_date,
+    endDate: template.end_date,
+    skipDates: template.skip_dates || [],
+    is_paused: template.is_paused,
+    last_generated_date: template.last_generated_date,
+    next_occurrence: template.is_paused
+      ? null
+      : (listOccurrences(template, from, addDays(from, 366 * 5))[0] || null),
+    created_at: template.created_at,
+    updated_at: template.updated_at
+  };
+}
+
+// ============================================
+// List recurring templates
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { data: templates, error } = await supabase
+      .from('fact_recurring_expenses')
+      .select(RECURRING_SELECT)
+      .eq('user_id', req.user.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const recurring = templates.map(mapTemplate);
+
+    res.json({ success: true, recurring, count: recurring.length });
+  } catch (error) {
+    console.error('Get recurring error:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring expenses', message: error.message });
+  }
+});
+
+// ============================================
+// Upcoming occurrences across all active templates
+// Query: ?days=30
+// ============================================
+router.get('/upcoming', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+    const from = today();
+    const to = addDays(from, days);
+
+    const { data: templates, error } = await supabase
+      .from('fact_recurring_expenses')
+      .select(RECURRING_SELECT)
+      .eq('user_id', req.user.userId)
+      .eq('is_paused', false)
+      .lte('start_date', to);
+
+    if (error) throw error;
+
+    const upcoming = templates
+      .flatMap(template => listOccurrences(template, from, to).map(date => ({
+        recurring_id: template.recurring_id,
+        date,
+        amount: template.amount,
+        currency: template.currency,
+        category: template.dim_category?.category_name || 'Other',
+        description: template.description,
+        payment_method: template.payment_method
+      })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Total in the home currency, at the latest known rates
+    const converter = await createConverter(req.user.userId, upcoming);
+    const total = converter.convertRows(upcoming).reduce((sum, o) => sum + o.amount, 0);
+
+    res.json({
+      success: true,
+      upcoming,
+      count: upcoming.length,
+      totalAmount: parseFloat(total.toFixed(2)),
+      ...converter.info(),
+      period: { startDate: from, endDate: to }
+    });
+  } catch (error) {
+    console.error('Get upcoming error:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming occurrences', message: error.message });
+  }
+});
+
+// ============================================
+// Run the materialization job for the current user
+// Safe to call repeatedly - already booked dates are skipped
+// ============================================
+router.post('/run', authenticateToken, async (req, res) => {
+  try {
+    const result = await materializeDueExpenses({ userId: req.user.userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Recurring run error:', error);
+    res.status(500).json({ error: 'Failed to run recurring expenses', message: error.message });
+  }
+});
+
+// ============================================
+// Scheduled job for all users (e.g. Vercel Cron)
+// Requires Authorization: Bearer <CRON_SECRET>
+// ============================================
+router.get('/cron', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const result = await materializeDueExpenses();
+    res.json({
+      success: true,
+      until: result.until,
+      createdCount: result.createdCount,
+      failedCount: result.failedCount,
+      failed: result.results.filter(r => r.error).map(r => ({ recurring_id: r.recurring_id, error: r.error }))
+    });
+  } catch (error) {
+    console.error('❌ Recurring cron error:', error);
+    res.status(500).json({ error: 'Failed to run recurring expenses', message: error.message });
+  }
+});
+
+// ============================================
+// Get single template
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .select(RECURRING_SELECT)
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    res.json({ success: true, recurring: mapTemplate(template) });
+  } catch (error) {
+    console.error('Get recurring error:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring expense' });
+  }
+});
+
+// ============================================
+// Upcoming occurrences for one template
+// ============================================
+router.get('/:id/upcoming', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 366 * 2);
+
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .select(RECURRING_SELECT)
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    const from = today();
+    const to = addDays(from, days);
+    const upcoming = template.is_paused ? [] : listOccurrences(template, from, to);
+
+    res.json({ success: true, recurring_id: template.recurring_id, is_paused: template.is_paused, upcoming });
+  } catch (error) {
+    console.error('Get upcoming error:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming occurrences', message: error.message });
+  }
+});
+
+// ============================================
+// Create template (due occurrences are booked immediately)
+// ============================================
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await buildTemplateData(req.body, req.user.userId);
+    if (result.error) {
+      const { status = 400, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    if (result.data.end_date && result.data.end_date < result.data.start_date) {
+      return res.status(400).json({ error: 'endDate must be after startDate' });
+    }
+
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .insert([{
+        currency: await getHomeCurrency(req.user.userId),
+        ...result.data,
+        user_id: req.user.userId,
+        is_paused: false
+      }])
+      .select(RECURRING_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    console.log('✅ Recurring expense created:', template.recurring_id);
+
+    await recordTags(req.user.userId, template.tags);
+
+    const run = await materializeTemplate(template);
+
+    res.status(201).json({
+      success: true,
+      recurring: mapTemplate(template),
+      created: run.created
+    });
+  } catch (error) {
+    console.error('❌ Create recurring error:', error);
+    res.status(500).json({ error: 'Failed to create recurring expense', message: error.message });
+  }
+});
+
+// ============================================
+// Edit template - applies to future occurrences only,
+// expenses already booked are left untouched
+// ============================================
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await buildTemplateData(req.body, req.user.userId, true);
+    if (result.error) {
+      const { status = 400, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    // Same date check as create, against the merged row
+    if (result.data.start_date !== undefined || result.data.end_date !== undefined) {
+      const { data: existing } = await supabase
+        .from('fact_recurring_expenses')
+        .select('start_date, end_date')
+        .eq('recurring_id', req.params.id)
+        .eq('user_id', req.user.userId)
+        .single();
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Recurring expense not found' });
+      }
+
+      const merged = { ...existing, ...result.data };
+      if (merged.end_date && merged.end_date < merged.start_date) {
+        return res.status(400).json({ error: 'endDate must be after startDate' });
+      }
+    }
+
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .update({ ...result.data, updated_at: new Date().toISOString() })
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .select(RECURRING_SELECT)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    if (result.data.tags !== undefined) await recordTags(req.user.userId, template.tags);
+
+    res.json({ success: true, recurring: mapTemplate(template) });
+  } catch (error) {
+    console.error('Update recurring error:', error);
+    res.status(500).json({ error: 'Failed to update recurring expense', message: error.message });
+  }
+});
+
+// ============================================
+// Pause / resume a series
+// Resuming does not backfill occurrences missed while paused
+// ============================================
+router.post('/:id/pause', authenticateToken, async (req, res) => {
+  try {
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .update({ is_paused: true, updated_at: new Date().toISOString() })
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .select(RECURRING_SELECT)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    res.json({ success: true, recurring: mapTemplate(template) });
+  } catch (error) {
+    console.error('Pause recurring error:', error);
+    res.status(500).json({ error: 'Failed to pause recurring expense', message: error.message });
+  }
+});
+
+router.post('/:id/resume', authenticateToken, async (req, res) => {
+  try {
+    const { data: template, error } = await supabase
+      .from('fact_recurring_expenses')
+      .update({
+        is_paused: false,
+        last_generated_date: addDays(today(), -1),
+        updated_at: new Date().toISOString()
+      })
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .select(RECURRING_SELECT)
+      .single();
+
+    if (error || !template) {
+      return res.status(404).json({ error: 'Recurring expense not found' });
+    }
+
+    const run = await materializeTemplate(template);
+
+    res.json({ success: true, recurring: mapTemplate(template), created: run.created });
+  } catch (error) {
+    console.error('Resume recurring error:', error);
+    res.status(500).json({ error: 'Failed to resume recurring expense', message: error.message });
+  }
+});
+
+// ============================================
+// Delete template (already booked expenses are kept)
+// ============================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('fact_recurring_expenses')
+      .delete()
+      .eq('recurring_id', req.params.id)
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Recurring expense deleted successfully' });
+  } catch (error) {
+    console.error('Delete recurring error:', error);
+    res.status(500).json({ error: 'Failed to delete recurring expense', message: error.message });
+  }
+});
+
+module.exports = router;
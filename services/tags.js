@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { normalizeTag } = require('../lib/tags');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('expenses:read', 'expenses:write'));
+
+// Schema for dim_tag and the tags arrays is described in lib/tags.js
+// Tags are addressed by name; a tag counts as existing if it is in dim_tag
+// or still on any row (rows tagged before dim_tag existed)
+
+const TAG_PAGE_SIZE = 1000;
+
+// Tables whose rows carry a tags array, with their primary key
+const TAGGED_TABLES = {
+  expenses: { table: 'fact_expenses', key: 'expense_id' },
+  recurring: { table: 'fact_recurring_expenses', key: 'recurring_id' }
+};
+
+// ============================================
+// HELPER: Replace (or with `to` = null, remove) a tag on every row of a user
+// Rows ending up with the same tag list are updated in one statement
+// ============================================
+async function rewriteTag(userId, from, to) {
+  const changed = {};
+
+  for (const [name, { table, key }] of Object.entries(TAGGED_TABLES)) {
+    const rows = [];
+    for (let offset = 0; ; offset += TAG_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(`${key}, tags`)
+        .eq('user_id', userId)
+        .contains('tags', [from])
+        .order(key, { ascending: true })
+        .range(offset, offset + TAG_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < TAG_PAGE_SIZE) break;
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+      const tags = [...new Set(row.tags.map(tag => (tag === from ? to : tag)).filter(Boolean))];
+      const groupKey = JSON.stringify(tags);
+      if (!groups.has(groupKey)) groups.set(groupKey, { tags, ids: [] });
+      groups.get(groupKey).ids.push(row[key]);
+    }
+
+    for (const { tags, ids } of groups.values()) {
+      const { error } = await supabase
+        .from(table)
+        .update({ tags: tags.length > 0 ? tags : null })
+        .eq('user_id', userId)
+        .in(key, ids);
+
+      if (error) throw error;
+    }
+
+    changed[name] = rows.length;
+  }
+
+  return changed;
+}
+
+async function findTag(userId, tagName) {
+  const { data: tag } = await supabase
+    .from('dim_tag')
+    .select('tag_id, tag_name, last_used_at')
+    .eq('user_id', userId)
+    .eq('tag_name', tagName)
+    .maybeSingle();
+
+  return tag || null;
+}
+
+// ============================================
+// Autocomplete: most recently used tags first
+// Query: q (prefix), limit (default 20, max 100)
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const prefix = normalizeTag(req.query.q);
+
+    let query = supabase
+      .from('dim_tag')
+      .select('tag_name, last_used_at')
+      .eq('user_id', req.user.userId)
+      .order('last_used_at', { ascending: false })
+      .limit(limit);
+
+    if (prefix) {
+      query = query.like('tag_name', `${prefix.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    const { data: tags, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      tags: tags.map(t => ({ name: t.tag_name, last_used_at: t.last_used_at })),
+      count: tags.length
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags', message: error.message });
+  }
+});
+
+// ============================================
+// Rename a tag on every expense and recurring template
+// Body: { name }
+// ============================================
+router.put('/:tag', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+
+    if (!to) {
+      return res.status(400).json({ error: 'A new tag name is required' });
+    }
+
+    if (!from) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    if (to === from) {
+      return res.json({ success: true, tag: { name: to }, changed: {} });
+    }
+    if (await findTag(userId, to)) {
+      return res.status(409).json({ error: 'Tag already exists, merge the tags instead', tag: to });
+    }
+
+    const tag = await findTag(userId, from);
+    const changed = await rewriteTag(userId, from, to);
+
+    if (!tag && Object.values(changed).every(count => count === 0)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { error } = tag
+      ? await supabase.from('dim_tag').update({ tag_name: to }).eq('tag_id', tag.tag_id)
+      : await supabase.from('dim_tag').insert([{ user_id: userId, tag_name: to, last_used_at: new Date().toISOString() }]);
+
+    if (error) throw error;
+
+    console.log('✅ Tag renamed:', { from, to, changed });
+
+    res.json({ success: true, tag: { name: to }, changed });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({ error: 'Failed to rename tag', message: error.message });
+  }
+});
+
+// ============================================
+// Merge a tag into another
+// Body: { into }
+// ============================================
+router.post('/:tag/merge', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.into);
+
+    if (!to) {
+      return res.status(400).json({ error: 'into is required' });
+    }
+    if (to === from) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+    }
+
+    if (!from) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const tag = await findTag(userId, from);
+    const changed = await rewriteTag(userId, from, to);
+
+    if (!tag && Object.values(changed).every(count => count === 0)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    // The target may not have been used yet
+    const { error: upsertError } = await supabase
+      .from('dim_tag')
+      .upsert([{ user_id: userId, tag_name: to, last_used_at: new Date().toISOString() }], { onConflict: 'user_id,tag_name' });
+
+    if (upsertError) throw upsertError;
+
+    const { error } = await supabase
+      .from('dim_tag')
+      .delete()
+      .eq('user_id', userId)
+      .eq('tag_name', from);
+
+    if (error) throw error;
+
+    console.log('✅ Tags merged:', { from, to, changed });
+
+    res.json({ success: true, tag: { name: to }, merged: from, changed });
+  } catch (error) {
+    console.error('❌ Merge tag error:', error);
+    res.status(500).json({ error: 'Failed to merge tags', message: error.message });
+  }
+});
+
+// ============================================
+// Remove a tag from everything
+// ============================================
+router.delete('/:tag', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const name = normalizeTag(req.params.tag);
+
+    if (!name) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const tag = await findTag(userId, name);
+    const changed = await rewriteTag(userId, name, null);
+
+    if (!tag && Object.values(changed).every(count => count === 0)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { error } = await supabase
+      .from('dim_tag')
+      .delete()
+      .eq('user_id', userId)
+      .eq('tag_name', name);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Tag deleted successfully', changed });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Failed to delete tag', message: error.message });
+  }
+});
+
+module.exports = router;
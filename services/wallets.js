@@ -0,0 +1,507 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const authenticateToken = require('../middleware/auth');
+const { normalizeCurrency, getHomeCurrency } = require('../lib/currency');
+const {
+  WALLET_ROLES,
+  checkWalletAccess,
+  listMembers,
+  createInvite,
+  acceptInvite,
+  deleteWallet
+} = require('../lib/wallets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Scopes required from personal access tokens
+router.use(authenticateToken.scope('wallets:read', 'wallets:write'));
+
+// Schema for dim_wallet / fact_wallet_members / fact_wallet_invites is
+// described in lib/wallets.js. Expenses and receipts are recorded into a
+// wallet with `walletId` on the expense, receipt scan and batch routes.
+
+const WALLET_SELECT = 'wallet_id, name, currency, created_by, created_at, updated_at';
+const INVITABLE_ROLES = ['editor', 'viewer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function mapWallet(wallet, extra = {}) {
+  return {
+    id: wallet.wallet_id,
+    wallet_id: wallet.wallet_id,
+    name: wallet.name,
+    currency: wallet.currency,
+    created_by: wallet.created_by,
+    created_at: wallet.created_at,
+    updated_at: wallet.updated_at,
+    ...extra
+  };
+}
+
+async function getWallet(walletId) {
+  const { data: wallet, error } = await supabase
+    .from('dim_wallet')
+    .select(WALLET_SELECT)
+    .eq('wallet_id', walletId)
+    .single();
+
+  if (error) throw error;
+  return wallet;
+}
+
+async function countOwners(walletId) {
+  const { count, error } = await supabase
+    .from('fact_wallet_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('wallet_id', walletId)
+    .eq('role', 'owner');
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// ============================================
+// List wallets the user belongs to
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { data: memberships, error } = await supabase
+      .from('fact_wallet_members')
+      .select('wallet_id, role, joined_at')
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    const walletIds = memberships.map(m => m.wallet_id);
+    let wallets = [];
+    let memberCounts = {};
+
+    if (walletIds.length > 0) {
+      const [{ data: walletRows, error: walletError }, { data: members, error: membersError }] = await Promise.all([
+        supabase.from('dim_wallet').select(WALLET_SELECT).in('wallet_id', walletIds).order('name', { ascending: true }),
+        supabase.from('fact_wallet_members').select('wallet_id').in('wallet_id', walletIds)
+      ]);
+
+      if (walletError || membersError) throw walletError || membersError;
+
+      wallets = walletRows;
+      members.forEach(m => {
+        memberCounts[m.wallet_id] = (memberCounts[m.wallet_id] || 0) + 1;
+      });
+    }
+
+    const roles = Object.fromEntries(memberships.map(m => [String(m.wallet_id), m.role]));
+
+    res.json({
+      success: true,
+      wallets: wallets.map(w => mapWallet(w, {
+        role: roles[String(w.wallet_id)],
+        memberCount: memberCounts[w.wallet_id] || 0
+      })),
+      count: wallets.length
+    });
+  } catch (error) {
+    console.error('Get wallets error:', error);
+    res.status(500).json({ error: 'Failed to fetch wallets', message: error.message });
+  }
+});
+
+// ============================================
+// Create a wallet (the creator becomes its owner)
+// Body: { name, currency? } - currency defaults to the creator's home currency
+// ============================================
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, currency } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+      return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+    }
+
+    const { data: wallet, error } = await supabase
+      .from('dim_wallet')
+      .insert([{
+        name: String(name).trim().slice(0, 100),
+        currency: normalizeCurrency(currency) || await getHomeCurrency(req.user.userId),
+        created_by: req.user.userId
+      }])
+      .select(WALLET_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabase
+      .from('fact_wallet_members')
+      .insert([{ wallet_id: wallet.wallet_id, user_id: req.user.userId, role: 'owner' }]);
+
+    if (memberError) {
+      await supabase.from('dim_wallet').delete().eq('wallet_id', wallet.wallet_id);
+      throw memberError;
+    }
+
+    console.log('✅ Wallet created:', wallet.wallet_id);
+
+    res.status(201).json({ success: true, wallet: mapWallet(wallet, { role: 'owner', memberCount: 1 }) });
+  } catch (error) {
+    console.error('❌ Create wallet error:', error);
+    res.status(500).json({ error: 'Failed to create wallet', message: error.message });
+  }
+});
+
+// ============================================
+// Invitations for the signed-in user's email
+// Declared before /:id so "invites" isn't treated as a wallet id
+// ============================================
+router.get('/invites', authenticateToken, async (req, res) => {
+  try {
+    const { data: invites, error } = await supabase
+      .from('fact_wallet_invites')
+      .select('invite_id, wallet_id, role, created_at, expires_at, dim_wallet(name)')
+      .eq('email', String(req.user.email || '').toLowerCase())
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      invites: invites.map(invite => ({
+        id: invite.invite_id,
+        walletId: invite.wallet_id,
+        walletName: invite.dim_wallet?.name || null,
+        role: invite.role,
+        createdAt: invite.created_at,
+        expiresAt: invite.expires_at
+      })),
+      count: invites.length
+    });
+  } catch (error) {
+    console.error('Get wallet invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations', message: error.message });
+  }
+});
+
+// ============================================
+// Join a wallet with the emailed invitation token
+// Body: { token }
+// ============================================
+router.post('/invites/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await acceptInvite(req.body.token, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('✅ Wallet invite accepted:', { walletId: result.walletId, userId: req.user.userId });
+
+    const wallet = await getWallet(result.walletId);
+
+    res.json({
+      success: true,
+      message: result.alreadyMember ? 'You are already a member of this wallet' : 'Joined wallet',
+      wallet: mapWallet(wallet, { role: result.role })
+    });
+  } catch (error) {
+    console.error('❌ Accept wallet invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation', message: error.message });
+  }
+});
+
+// ============================================
+// Get a wallet with its members
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const [wallet, members] = await Promise.all([getWallet(req.params.id), listMembers(req.params.id)]);
+
+    res.json({
+      success: true,
+      wallet: mapWallet(wallet, { role: access.role, members, memberCount: members.length })
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ error: 'Failed to fetch wallet', message: error.message });
+  }
+});
+
+// ============================================
+// Rename a wallet or change its reporting currency (owner)
+// Body: { name?, currency? }
+// ============================================
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { name, currency } = req.body;
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updateData.name = String(name).trim().slice(0, 100);
+    }
+    if (currency !== undefined) {
+      if (!normalizeCurrency(currency)) {
+        return res.status(400).json({ error: 'Invalid currency, expected an ISO 4217 code such as PHP or USD' });
+      }
+      updateData.currency = normalizeCurrency(currency);
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update', allowed: ['name', 'currency'] });
+    }
+
+    const { data: wallet, error } = await supabase
+      .from('dim_wallet')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('wallet_id', req.params.id)
+      .select(WALLET_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, wallet: mapWallet(wallet, { role: access.role }) });
+  } catch (error) {
+    console.error('Update wallet error:', error);
+    res.status(500).json({ error: 'Failed to update wallet', message: error.message });
+  }
+});
+
+// ============================================
+// Delete a wallet (owner); its expenses stay with whoever paid for them
+// ============================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    await deleteWallet(req.params.id);
+
+    console.log('✅ Wallet deleted:', req.params.id);
+
+    res.json({ success: true, message: 'Wallet deleted, its expenses moved back to whoever paid for them' });
+  } catch (error) {
+    console.error('❌ Delete wallet error:', error);
+    res.status(500).json({ error: 'Failed to delete wallet', message: error.message });
+  }
+});
+
+// ============================================
+// Invite a member by email (owner)
+// Body: { email, role: 'editor' | 'viewer' }
+// ============================================
+router.post('/:id/invites', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: INVITABLE_ROLES });
+    }
+
+    const { data: existingUser } = await supabase
+      .from('dim_user')
+      .select('user_id')
+      .eq('email', String(email).trim().toLowerCase())
+      .maybeSingle();
+
+    if (existingUser) {
+      const { data: member } = await supabase
+        .from('fact_wallet_members')
+        .select('role')
+        .eq('wallet_id', req.params.id)
+        .eq('user_id', existingUser.user_id)
+        .maybeSingle();
+
+      if (member) {
+        return res.status(409).json({ error: 'Already a member of this wallet', role: member.role });
+      }
+    }
+
+    const [wallet, { data: inviter }] = await Promise.all([
+      getWallet(req.params.id),
+      supabase.from('dim_user').select('full_name').eq('user_id', req.user.userId).single()
+    ]);
+
+    const invite = await createInvite(wallet, {
+      email,
+      role,
+      invitedBy: req.user.userId,
+      inviterName: inviter?.full_name
+    });
+
+    console.log('📨 Wallet invite sent:', { walletId: wallet.wallet_id, role });
+
+    res.status(201).json({ success: true, invite });
+  } catch (error) {
+    console.error('❌ Create wallet invite error:', error);
+    res.status(500).json({ error: 'Failed to send invitation', message: error.message });
+  }
+});
+
+// ============================================
+// Pending invitations of a wallet (owner)
+// ============================================
+router.get('/:id/invites', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: invites, error } = await supabase
+      .from('fact_wallet_invites')
+      .select('invite_id, email, role, invited_by, created_at, expires_at')
+      .eq('wallet_id', req.params.id)
+      .is('accepted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ success: true, invites, count: invites.length });
+  } catch (error) {
+    console.error('Get wallet invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations', message: error.message });
+  }
+});
+
+// ============================================
+// Withdraw an invitation (owner)
+// ============================================
+router.delete('/:id/invites/:inviteId', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { count, error } = await supabase
+      .from('fact_wallet_invites')
+      .delete({ count: 'exact' })
+      .eq('wallet_id', req.params.id)
+      .eq('invite_id', req.params.inviteId)
+      .is('accepted_at', null);
+
+    if (error) throw error;
+    if (!count) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Delete wallet invite error:', error);
+    res.status(500).json({ error: 'Failed to withdraw invitation', message: error.message });
+  }
+});
+
+// ============================================
+// Change a member's role (owner)
+// Body: { role: 'owner' | 'editor' | 'viewer' } - a wallet always keeps an owner
+// ============================================
+router.put('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const access = await checkWalletAccess(req.params.id, req.user.userId, 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { role } = req.body;
+    if (!WALLET_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: WALLET_ROLES });
+    }
+
+    const { data: member } = await supabase
+      .from('fact_wallet_members')
+      .select('role')
+      .eq('wallet_id', req.params.id)
+      .eq('user_id', req.params.userId)
+      .maybeSingle();
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && (await countOwners(req.params.id)) <= 1) {
+      return res.status(409).json({ error: 'A wallet needs at least one owner' });
+    }
+
+    const { error } = await supabase
+      .from('fact_wallet_members')
+      .update({ role })
+      .eq('wallet_id', req.params.id)
+      .eq('user_id', req.params.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, member: { userId: req.params.userId, role } });
+  } catch (error) {
+    console.error('Update wallet member error:', error);
+    res.status(500).json({ error: 'Failed to update member', message: error.message });
+  }
+});
+
+// ============================================
+// Remove a member (owner), or leave a wallet (any member, own user id)
+// Their expenses stay in the wallet
+// ============================================
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user.userId);
+    const access = await checkWalletAccess(req.params.id, req.user.userId, leaving ? 'viewer' : 'owner');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: member } = await supabase
+      .from('fact_wallet_members')
+      .select('role')
+      .eq('wallet_id', req.params.id)
+      .eq('user_id', req.params.userId)
+      .maybeSingle();
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && (await countOwners(req.params.id)) <= 1) {
+      return res.status(409).json({ error: 'A wallet needs at least one owner; make someone else owner or delete the wallet' });
+    }
+
+    const { error } = await supabase
+      .from('fact_wallet_members')
+      .delete()
+      .eq('wallet_id', req.params.id)
+      .eq('user_id', req.params.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: leaving ? 'You left the wallet' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove wallet member error:', error);
+    res.status(500).json({ error: 'Failed to remove member', message: error.message });
+  }
+});
+
+module.exports = router;